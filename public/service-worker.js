@@ -0,0 +1,136 @@
+// Service worker for reading WordNest offline.
+// - The app shell is cached at install and built assets as they load.
+// - Page loads are network-first, falling back to the cached shell.
+// - API reads of posts, profiles and bookmarks are network-first, falling back
+//   to the last response, so recently viewed posts stay readable.
+// - Images are cache-first once they have been seen.
+// Only the most recent entries of each cache are kept. Bump VERSION to drop
+// every cache when their format changes.
+
+const VERSION = 'v1';
+const SHELL_CACHE = `wordnest-shell-${VERSION}`;
+const ASSET_CACHE = `wordnest-assets-${VERSION}`;
+const DATA_CACHE = `wordnest-data-${VERSION}`;
+const IMAGE_CACHE = `wordnest-images-${VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, ASSET_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+const SHELL_URLS = ['/', '/index.html', '/vite.svg'];
+const MAX_ASSET_ENTRIES = 60;
+const MAX_DATA_ENTRIES = 100;
+const MAX_IMAGE_ENTRIES = 60;
+
+// GET endpoints whose responses are kept for offline reading
+const CACHED_API_PATHS = [
+  /^\/api\/posts(\/[^/]+(\/comments)?)?$/,
+  /^\/api\/user\/(profile|posts|stats)$/,
+  /^\/api\/users\/[^/]+(\/posts)?$/,
+  /^\/api\/bookmarks$/,
+];
+
+// Cache keys are kept in insertion order; put() moves an entry to the end
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+};
+
+const putInCache = async (cacheName, maxEntries, request, response) => {
+  const cache = await caches.open(cacheName);
+  await cache.put(request, response);
+  await trimCache(cacheName, maxEntries);
+};
+
+const networkFirst = async (event, cacheName, maxEntries) => {
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      event.waitUntil(putInCache(cacheName, maxEntries, event.request, response.clone()));
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(event.request, { cacheName });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+};
+
+const cacheFirst = async (event, cacheName, maxEntries) => {
+  const cached = await caches.match(event.request, { cacheName });
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(event.request);
+  // Cross-origin images load without CORS and come back opaque
+  if (response.ok || response.type === 'opaque') {
+    event.waitUntil(putInCache(cacheName, maxEntries, event.request, response.clone()));
+  }
+  return response;
+};
+
+// Every route is served by index.html, so keep the latest copy of it
+const handleNavigation = async (event) => {
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.put('/index.html', response.clone())));
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match('/index.html', { cacheName: SHELL_CACHE });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('wordnest-') && !CURRENT_CACHES.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    // Built assets have content hashes in their names, so they never change
+    event.respondWith(cacheFirst(event, ASSET_CACHE, MAX_ASSET_ENTRIES));
+  } else if (request.destination === 'image') {
+    event.respondWith(cacheFirst(event, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+  } else if (CACHED_API_PATHS.some((path) => path.test(url.pathname))) {
+    event.respondWith(networkFirst(event, DATA_CACHE, MAX_DATA_ENTRIES));
+  }
+});
+
+// API responses belong to the signed-in user; the app asks for them to be
+// dropped on logout
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-user-data') {
+    event.waitUntil(caches.delete(DATA_CACHE));
+  }
+});
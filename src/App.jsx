@@ -1,40 +1,89 @@
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import {
+  createBrowserRouter,
+  createRoutesFromElements,
+  RouterProvider,
+  Route,
+  Navigate,
+} from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Login from './components/Login';
 import Signup from './components/Signup';
 import Posts from './components/Posts';
+import PostDetail from './components/PostDetail';
 import Profile from './components/Profile';
+import AuthorProfile from './components/AuthorProfile';
+import Bookmarks from './components/Bookmarks';
+import TagPosts from './components/TagPosts';
+import OfflineBanner from './components/OfflineBanner';
 import './App.css';
 
+// A data router is needed for useBlocker (unsaved-changes prompts)
+const router = createBrowserRouter(
+  createRoutesFromElements(
+    <>
+      <Route path="/login" element={<Login />} />
+      <Route path="/signup" element={<Signup />} />
+      <Route
+        path="/posts"
+        element={
+          <ProtectedRoute>
+            <Posts />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/posts/:id"
+        element={
+          <ProtectedRoute>
+            <PostDetail />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/profile"
+        element={
+          <ProtectedRoute>
+            <Profile />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/bookmarks"
+        element={
+          <ProtectedRoute>
+            <Bookmarks />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/users/:username"
+        element={
+          <ProtectedRoute>
+            <AuthorProfile />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/tags/:tag"
+        element={
+          <ProtectedRoute>
+            <TagPosts />
+          </ProtectedRoute>
+        }
+      />
+      <Route path="/" element={<Navigate to="/posts" replace />} />
+    </>
+  )
+);
+
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <Routes>
-          <Route path="/login" element={<Login />} />
-          <Route path="/signup" element={<Signup />} />
-          <Route
-            path="/posts"
-            element={
-              <ProtectedRoute>
-                <Posts />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/profile"
-            element={
-              <ProtectedRoute>
-                <Profile />
-              </ProtectedRoute>
-            }
-          />
-          <Route path="/" element={<Navigate to="/posts" replace />} />
-        </Routes>
-      </Router>
+      <OfflineBanner />
+      <RouterProvider router={router} />
     </AuthProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
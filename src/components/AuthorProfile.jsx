@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { userAPI, getImageUrl } from '../services/api';
+import { NotFoundError } from '../services/errors';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import { useRetryOnRecovery } from '../hooks/useRetryOnRecovery';
+import { useListMode } from '../hooks/useListMode';
+import { getPostTags } from '../utils/tags';
+import ListModeToggle from './ListModeToggle';
+import FollowButton from './FollowButton';
+import { TagList } from './Tags';
+import { PostCoverImage } from './ImageGallery';
+import { ErrorMessage } from './ErrorMessage';
+import { MarkdownExcerpt } from './Markdown';
+import './AuthorProfile.css';
+
+const AuthorProfile = () => {
+  const { username } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [author, setAuthor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+
+  const [listMode, setListMode] = useListMode(user?.id);
+  const {
+    items: posts,
+    pagination,
+    loading: loadingPosts,
+    loadingMore,
+    error: postsError,
+    goToPage,
+    sentinelRef,
+  } = usePaginatedList({
+    key: `author-posts:${username}`,
+    mode: listMode,
+    fetchPage: async (page) => {
+      const data = await userAPI.getPostsByUser(username, page, 10);
+      return { items: data.posts || [], pagination: data.pagination };
+    },
+  });
+
+  useRetryOnRecovery(() => fetchAuthor(username), Boolean(error));
+
+  useEffect(() => {
+    window.scrollTo(0, 0);
+    fetchAuthor(username);
+  }, [username]);
+
+  const fetchAuthor = async (name) => {
+    setLoading(true);
+    setError(null);
+    setNotFound(false);
+
+    try {
+      const data = await userAPI.getPublicProfile(name);
+      // Some backends wrap the user, others return it directly
+      setAuthor(data.user || data);
+    } catch (err) {
+      setAuthor(null);
+      if (err instanceof NotFoundError) {
+        setNotFound(true);
+      } else {
+        setError(err);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFollowChange = (following, followerCount) => {
+    setAuthor((prev) => {
+      // Adjust the count optimistically; the server's count wins once it arrives
+      const delta = following === Boolean(prev.is_following) ? 0 : following ? 1 : -1;
+      return {
+        ...prev,
+        is_following: following,
+        follower_count: followerCount ?? Math.max((prev.follower_count || 0) + delta, 0),
+      };
+    });
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination?.totalPages) {
+      goToPage(newPage);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  };
+
+  const formatDate = (dateString, withTime = true) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      ...(withTime && { hour: '2-digit', minute: '2-digit' }),
+    });
+  };
+
+  const isOwnProfile = user?.username && author?.username === user.username;
+
+  return (
+    <div className="author-profile-container">
+      <div className="post-detail-header">
+        <Link to="/posts" className="logo-link">
+          <h1>WordNest</h1>
+        </Link>
+        <button onClick={() => navigate('/posts')} className="back-button">
+          Back to Posts
+        </button>
+      </div>
+
+      <div className="author-profile-content">
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading author...</p>
+          </div>
+        ) : notFound ? (
+          <div className="post-detail-state">
+            <h2>Author not found</h2>
+            <p>There is no WordNest author called &ldquo;{username}&rdquo;.</p>
+            <Link to="/posts" className="primary-button">
+              Browse all posts
+            </Link>
+          </div>
+        ) : error ? (
+          <div className="post-detail-state">
+            <ErrorMessage error={error} className="error-banner" />
+            <button onClick={() => fetchAuthor(username)} className="primary-button">
+              Try Again
+            </button>
+          </div>
+        ) : author && (
+          <>
+            <section className="author-card">
+              <div className="author-avatar">
+                {author.profile_picture_url ? (
+                  <img src={getImageUrl(author.profile_picture_url)} alt={author.username} />
+                ) : (
+                  <span>{author.username?.charAt(0).toUpperCase() || 'U'}</span>
+                )}
+              </div>
+              <div className="author-details">
+                <div className="author-name-row">
+                  <h2>{author.username}</h2>
+                  <FollowButton
+                    username={author.username}
+                    following={Boolean(author.is_following)}
+                    onChange={handleFollowChange}
+                  />
+                </div>
+                <p className="author-bio">{author.bio || 'This author has not written a bio yet.'}</p>
+                <div className="author-meta">
+                  {author.created_at && (
+                    <span>Joined {formatDate(author.created_at, false)}</span>
+                  )}
+                  <span>
+                    {author.post_count ?? pagination?.totalPosts ?? 0}{' '}
+                    {(author.post_count ?? pagination?.totalPosts) === 1 ? 'post' : 'posts'}
+                  </span>
+                  <span>
+                    {author.follower_count ?? 0} {author.follower_count === 1 ? 'follower' : 'followers'}
+                  </span>
+                  <span>{author.following_count ?? 0} following</span>
+                </div>
+                {isOwnProfile && (
+                  <Link to="/profile" className="read-more-link">
+                    Edit your profile
+                  </Link>
+                )}
+              </div>
+            </section>
+
+            <section className="author-posts">
+              <div className="posts-content-header">
+                <h2>Posts by {author.username}</h2>
+                <ListModeToggle mode={listMode} onChange={setListMode} />
+              </div>
+
+              <ErrorMessage error={postsError} className="error-banner" />
+
+              {loadingPosts && (listMode === 'paged' || posts.length === 0) ? (
+                <div className="loading-container">
+                  <div className="loading-spinner"></div>
+                  <p>Loading posts...</p>
+                </div>
+              ) : posts.length === 0 ? (
+                <div className="empty-state">
+                  <p>{author.username} hasn&apos;t published any posts yet.</p>
+                </div>
+              ) : (
+                <>
+                  <div className="posts-grid">
+                    {posts.map((post) => (
+                      <article key={post.id} className="post-card">
+                        <PostCoverImage post={post} />
+                        <div className="post-header">
+                          <h3 className="post-title">
+                            <Link to={`/posts/${post.id}`} className="post-title-link">
+                              {post.title}
+                            </Link>
+                          </h3>
+                        </div>
+                        <div className="post-content">
+                          <MarkdownExcerpt source={post.content} />
+                        </div>
+                        <TagList tags={getPostTags(post)} className="post-tags" />
+                        <div className="post-footer">
+                          <span className="post-date">{formatDate(post.created_at)}</span>
+                          <Link to={`/posts/${post.id}`} className="read-more-link">
+                            Read more
+                          </Link>
+                        </div>
+                      </article>
+                    ))}
+                  </div>
+
+                  {listMode === 'infinite' ? (
+                    <div ref={sentinelRef} className="infinite-scroll-status">
+                      {loadingMore && (
+                        <>
+                          <div className="loading-spinner"></div>
+                          <span>Loading more posts...</span>
+                        </>
+                      )}
+                    </div>
+                  ) : pagination && pagination.totalPages > 1 && (
+                    <div className="pagination">
+                      <button
+                        onClick={() => handlePageChange(pagination.currentPage - 1)}
+                        disabled={!pagination.hasPreviousPage || loadingPosts}
+                        className="pagination-button"
+                      >
+                        Previous
+                      </button>
+                      <div className="pagination-info">
+                        <span>
+                          Page {pagination.currentPage} of {pagination.totalPages}
+                        </span>
+                      </div>
+                      <button
+                        onClick={() => handlePageChange(pagination.currentPage + 1)}
+                        disabled={!pagination.hasNextPage || loadingPosts}
+                        className="pagination-button"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthorProfile;
@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { bookmarksAPI } from '../services/bookmarks';
+import './BookmarkButton.css';
+
+/**
+ * Save/unsave toggle for a post. The change is shown immediately through
+ * onChange and reverted if it can't be saved.
+ * @param {Object} props
+ * @param {Object} props.post
+ * @param {(postId: number, changes: {bookmarked: boolean}) => void} props.onChange
+ */
+const BookmarkButton = ({ post, onChange }) => {
+  const { user } = useAuth();
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState('');
+
+  const bookmarked = bookmarksAPI.isBookmarked(user?.id, post);
+
+  const handleToggle = async () => {
+    if (pending || !user) return;
+
+    setError('');
+    setPending(true);
+    onChange(post.id, { bookmarked: !bookmarked });
+
+    try {
+      if (bookmarked) {
+        await bookmarksAPI.remove(user.id, post.id);
+      } else {
+        await bookmarksAPI.add(user.id, post);
+      }
+    } catch (err) {
+      onChange(post.id, { bookmarked });
+      setError(err.message || 'Could not update bookmark');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className={`bookmark-button ${bookmarked ? 'active' : ''}`}
+        onClick={handleToggle}
+        aria-pressed={bookmarked}
+        disabled={pending}
+        title={bookmarked ? 'Remove from bookmarks' : 'Save for later'}
+      >
+        <span aria-hidden="true">{bookmarked ? '★' : '☆'}</span> {bookmarked ? 'Saved' : 'Save'}
+      </button>
+      {error && (
+        <span className="bookmark-error" role="alert">
+          {error}
+        </span>
+      )}
+    </>
+  );
+};
+
+export default BookmarkButton;
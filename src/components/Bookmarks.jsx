@@ -0,0 +1,162 @@
+import { useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { bookmarksAPI } from '../services/bookmarks';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import BookmarkButton from './BookmarkButton';
+import { PostCoverImage } from './ImageGallery';
+import { ErrorMessage } from './ErrorMessage';
+import { MarkdownExcerpt } from './Markdown';
+import './Bookmarks.css';
+
+const Bookmarks = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const {
+    items: posts,
+    setItems: setPosts,
+    pagination,
+    loading,
+    error,
+    goToPage,
+    reload,
+  } = usePaginatedList({
+    key: `bookmarks:${user?.id}`,
+    fetchPage: async (page) => {
+      const data = await bookmarksAPI.list(user.id, page, 10);
+      // Everything listed here is bookmarked, whether or not the backend flags it
+      const items = (data.posts || []).map((post) => ({ bookmarked: true, ...post }));
+      return { items, pagination: data.pagination };
+    },
+  });
+
+  // Unsaved posts stay listed until the next load so the change can be undone
+  const handlePostChange = (postId, changes) => {
+    setPosts((prev) => prev.map((post) => (post.id === postId ? { ...post, ...changes } : post)));
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination?.totalPages) {
+      goToPage(newPage);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <div className="bookmarks-container">
+      <div className="post-detail-header">
+        <Link to="/posts" className="logo-link">
+          <h1>WordNest</h1>
+        </Link>
+        <button onClick={() => navigate('/posts')} className="back-button">
+          Back to Posts
+        </button>
+      </div>
+
+      <div className="bookmarks-content">
+        <div className="posts-content-header">
+          <h2>
+            Bookmarks
+            {pagination?.totalPosts > 0 && <span className="bookmarks-count"> ({pagination.totalPosts})</span>}
+          </h2>
+        </div>
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading bookmarks...</p>
+          </div>
+        ) : error ? (
+          <div className="post-detail-state">
+            <ErrorMessage error={error} className="error-banner" />
+            <button onClick={reload} className="primary-button">
+              Try Again
+            </button>
+          </div>
+        ) : posts.length === 0 ? (
+          <div className="empty-state">
+            <p>No bookmarks yet. Use Save on any post to add it to your reading list.</p>
+            <Link to="/posts" className="read-more-link">
+              Browse posts
+            </Link>
+          </div>
+        ) : (
+          <>
+            <div className="posts-grid">
+              {posts.map((post) => (
+                <article
+                  key={post.id}
+                  className={`post-card ${bookmarksAPI.isBookmarked(user?.id, post) ? '' : 'unsaved'}`}
+                >
+                  <PostCoverImage post={post} />
+                  <div className="post-header">
+                    <h3 className="post-title">
+                      <Link to={`/posts/${post.id}`} className="post-title-link">
+                        {post.title}
+                      </Link>
+                    </h3>
+                    {post.author_name && (
+                      <span className="post-author">
+                        by{' '}
+                        <Link to={`/users/${encodeURIComponent(post.author_name)}`} className="post-author-link">
+                          {post.author_name}
+                        </Link>
+                      </span>
+                    )}
+                  </div>
+                  <div className="post-content">
+                    <MarkdownExcerpt source={post.content} />
+                  </div>
+                  <div className="post-footer">
+                    <span className="post-date">{formatDate(post.created_at)}</span>
+                    <div className="post-footer-links">
+                      <BookmarkButton post={post} onChange={handlePostChange} />
+                      <Link to={`/posts/${post.id}`} className="read-more-link">
+                        Read more
+                      </Link>
+                    </div>
+                  </div>
+                </article>
+              ))}
+            </div>
+
+            {pagination && pagination.totalPages > 1 && (
+              <div className="pagination">
+                <button
+                  onClick={() => handlePageChange(pagination.currentPage - 1)}
+                  disabled={!pagination.hasPreviousPage || loading}
+                  className="pagination-button"
+                >
+                  Previous
+                </button>
+                <div className="pagination-info">
+                  <span>
+                    Page {pagination.currentPage} of {pagination.totalPages}
+                  </span>
+                </div>
+                <button
+                  onClick={() => handlePageChange(pagination.currentPage + 1)}
+                  disabled={!pagination.hasNextPage || loading}
+                  className="pagination-button"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Bookmarks;
@@ -0,0 +1,353 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { commentsAPI } from '../services/api';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import ConfirmDialog from './ConfirmDialog';
+import { ErrorMessage } from './ErrorMessage';
+import './CommentSection.css';
+
+const COMMENTS_PER_PAGE = 20;
+
+// Backends either nest replies under their parent or return a flat list with
+// parent_id; normalise both to top-level comments with a `replies` array
+const threadComments = (comments) => {
+  const topLevel = comments.filter((comment) => !comment.parent_id);
+  return topLevel.map((comment) => ({
+    ...comment,
+    replies: [
+      ...(comment.replies || []),
+      ...comments.filter((reply) => reply.parent_id === comment.id),
+    ],
+  }));
+};
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const CommentForm = ({ initialValue = '', submitLabel, placeholder, onSubmit, onCancel, autoFocus = false }) => {
+  const [content, setContent] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit(content.trim());
+      setContent('');
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="comment-form">
+      <ErrorMessage error={error} />
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={placeholder}
+        rows={3}
+        maxLength={2000}
+        disabled={submitting}
+        autoFocus={autoFocus}
+        required
+      ></textarea>
+      <div className="comment-form-actions">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="secondary-button small" disabled={submitting}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="primary-button small" disabled={submitting || !content.trim()}>
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ comment, isOwn, onReply, onEdit, onDelete, children }) => {
+  const [editing, setEditing] = useState(false);
+  const wasEdited = comment.updated_at && comment.updated_at !== comment.created_at;
+
+  return (
+    <li className="comment">
+      <div className="comment-meta">
+        <Link to={`/users/${encodeURIComponent(comment.author_name)}`} className="comment-author">
+          {comment.author_name}
+        </Link>
+        <span className="post-date">
+          {formatDate(comment.created_at)}
+          {wasEdited && ' (edited)'}
+        </span>
+      </div>
+
+      {editing ? (
+        <CommentForm
+          initialValue={comment.content}
+          submitLabel="Save"
+          onSubmit={async (content) => {
+            await onEdit(comment, content);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+          autoFocus
+        />
+      ) : (
+        <p className="comment-content">{comment.content}</p>
+      )}
+
+      {!editing && (
+        <div className="comment-actions">
+          {onReply && (
+            <button type="button" onClick={() => onReply(comment)} className="link-button">
+              Reply
+            </button>
+          )}
+          {isOwn && (
+            <>
+              <button type="button" onClick={() => setEditing(true)} className="link-button">
+                Edit
+              </button>
+              <button type="button" onClick={() => onDelete(comment)} className="link-button danger">
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {children}
+    </li>
+  );
+};
+
+/**
+ * Threaded comments for a post: top-level comments are paginated and each
+ * can have one level of replies. Only a comment's author can edit or delete it.
+ * @param {Object} props
+ * @param {number|string} props.postId
+ * @param {number} [props.commentCount] - Total from the post, shown before the first page loads
+ */
+const CommentSection = ({ postId, commentCount }) => {
+  const { user } = useAuth();
+  const location = useLocation();
+  const sectionRef = useRef(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState('');
+
+  const {
+    items: comments,
+    setItems: setComments,
+    pagination,
+    loading,
+    loadingMore,
+    error,
+    loadMore,
+    reload,
+  } = usePaginatedList({
+    key: `comments:${postId}`,
+    mode: 'infinite',
+    fetchPage: async (page) => {
+      const data = await commentsAPI.list(postId, page, COMMENTS_PER_PAGE);
+      return { items: threadComments(data.comments || []), pagination: data.pagination };
+    },
+  });
+
+  // Links from the feed's comment counts jump straight to the thread
+  const scrolledRef = useRef(false);
+  useEffect(() => {
+    if (!loading && location.hash === '#comments' && !scrolledRef.current) {
+      scrolledRef.current = true;
+      sectionRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [loading, location.hash]);
+
+  // Comments added or removed here since the last page loaded. Once another
+  // page loads, the server's total already includes them, so they stop counting.
+  const [countChange, setCountChange] = useState({ pagination: null, delta: 0 });
+  const countDelta = countChange.pagination === pagination ? countChange.delta : 0;
+  const adjustCount = (change) =>
+    setCountChange((prev) => ({
+      pagination,
+      delta: (prev.pagination === pagination ? prev.delta : 0) + change,
+    }));
+
+  const total = (pagination?.totalComments ?? commentCount ?? 0) + countDelta;
+
+  const isOwn = (comment) =>
+    Boolean(user) && (comment.user_id ?? comment.author_id) === user.id;
+
+  const updateComment = (commentId, update) => {
+    setComments((prev) =>
+      prev.map((comment) =>
+        comment.id === commentId
+          ? update(comment)
+          : { ...comment, replies: comment.replies.map((reply) => (reply.id === commentId ? update(reply) : reply)) }
+      )
+    );
+  };
+
+  const handleCreate = async (content) => {
+    const data = await commentsAPI.create(postId, { content });
+    const comment = data.comment || data;
+    setComments((prev) => [{ author_name: user?.username, ...comment, replies: [] }, ...prev]);
+    adjustCount(1);
+  };
+
+  const handleReply = async (parent, content) => {
+    const data = await commentsAPI.create(postId, { content, parentId: parent.id });
+    const reply = data.comment || data;
+    updateComment(parent.id, (comment) => ({
+      ...comment,
+      replies: [...comment.replies, { author_name: user?.username, ...reply }],
+    }));
+    adjustCount(1);
+    setReplyingTo(null);
+  };
+
+  const handleEdit = async (target, content) => {
+    const data = await commentsAPI.update(target.id, content);
+    const updated = data.comment || { content, updated_at: new Date().toISOString() };
+    updateComment(target.id, (comment) => ({ ...comment, ...updated, replies: comment.replies }));
+  };
+
+  const handleConfirmDelete = async () => {
+    const target = pendingDelete;
+    setDeleting(true);
+    setDeleteError('');
+
+    try {
+      await commentsAPI.remove(target.id);
+      if (target.parent_id) {
+        updateComment(target.parent_id, (comment) => ({
+          ...comment,
+          replies: comment.replies.filter((reply) => reply.id !== target.id),
+        }));
+        adjustCount(-1);
+      } else {
+        // Deleting a comment also removes its replies
+        setComments((prev) => prev.filter((comment) => comment.id !== target.id));
+        adjustCount(-1 - (target.replies?.length || 0));
+      }
+      setPendingDelete(null);
+    } catch (err) {
+      setDeleteError(err.message || 'Failed to delete comment');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <section id="comments" ref={sectionRef} className="comment-section" aria-labelledby="comments-heading">
+      <h3 id="comments-heading">
+        Comments {total > 0 && <span className="comment-count">({total})</span>}
+      </h3>
+
+      <CommentForm submitLabel="Post Comment" placeholder="Share your thoughts..." onSubmit={handleCreate} />
+
+      {deleteError && <div className="error-message">{deleteError}</div>}
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading comments...</p>
+        </div>
+      ) : error ? (
+        <div className="comment-state">
+          <ErrorMessage error={error} />
+          <button onClick={reload} className="secondary-button small">
+            Try Again
+          </button>
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="comment-state">No comments yet. Be the first to comment!</p>
+      ) : (
+        <>
+          <ul className="comment-list">
+            {comments.map((comment) => (
+              <CommentItem
+                key={comment.id}
+                comment={comment}
+                isOwn={isOwn(comment)}
+                onReply={(target) => setReplyingTo(replyingTo === target.id ? null : target.id)}
+                onEdit={handleEdit}
+                onDelete={setPendingDelete}
+              >
+                {(comment.replies.length > 0 || replyingTo === comment.id) && (
+                  <ul className="comment-replies">
+                    {comment.replies.map((reply) => (
+                      <CommentItem
+                        key={reply.id}
+                        comment={{ ...reply, parent_id: comment.id }}
+                        isOwn={isOwn(reply)}
+                        onEdit={handleEdit}
+                        onDelete={setPendingDelete}
+                      />
+                    ))}
+                    {replyingTo === comment.id && (
+                      <li className="comment-reply-form">
+                        <CommentForm
+                          submitLabel="Reply"
+                          placeholder={`Reply to ${comment.author_name}...`}
+                          onSubmit={(content) => handleReply(comment, content)}
+                          onCancel={() => setReplyingTo(null)}
+                          autoFocus
+                        />
+                      </li>
+                    )}
+                  </ul>
+                )}
+              </CommentItem>
+            ))}
+          </ul>
+
+          {pagination?.hasNextPage && (
+            <div className="comment-load-more">
+              <button onClick={loadMore} className="secondary-button" disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load more comments'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      <ConfirmDialog
+        open={Boolean(pendingDelete)}
+        title="Delete comment?"
+        message={
+          pendingDelete?.replies?.length
+            ? 'This comment and its replies will be permanently deleted.'
+            : 'This comment will be permanently deleted.'
+        }
+        confirmLabel="Delete"
+        danger
+        busy={deleting}
+        onConfirm={handleConfirmDelete}
+        onCancel={() => {
+          setPendingDelete(null);
+          setDeleteError('');
+        }}
+      />
+    </section>
+  );
+};
+
+export default CommentSection;
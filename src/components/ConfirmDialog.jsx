@@ -0,0 +1,77 @@
+import { useEffect } from 'react';
+import './ConfirmDialog.css';
+
+const ConfirmDialog = ({
+  open,
+  title,
+  message,
+  confirmLabel = 'Confirm',
+  cancelLabel = 'Cancel',
+  danger = false,
+  busy = false,
+  onConfirm,
+  onCancel,
+}) => {
+  // Close on Escape, unless an action is in progress
+  useEffect(() => {
+    if (!open) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !busy) {
+        onCancel();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open, busy, onCancel]);
+
+  if (!open) {
+    return null;
+  }
+
+  return (
+    <div
+      className="confirm-dialog-overlay"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget && !busy) {
+          onCancel();
+        }
+      }}
+    >
+      <div
+        className="confirm-dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="confirm-dialog-title"
+        aria-describedby="confirm-dialog-message"
+      >
+        <h3 id="confirm-dialog-title">{title}</h3>
+        <p id="confirm-dialog-message">{message}</p>
+        <div className="confirm-dialog-actions">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="secondary-button"
+            disabled={busy}
+          >
+            {cancelLabel}
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            className={danger ? 'danger-button' : 'primary-button'}
+            disabled={busy}
+            autoFocus
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,36 @@
+import { NetworkError, getFieldError } from '../services/errors';
+import './ErrorMessage.css';
+
+/**
+ * An error for a form or page. Connection failures get their own style.
+ * @param {Object} props
+ * @param {Error|string|null} props.error - An error from the API (see services/errors) or a message
+ * @param {string} [props.className] - 'error-message' for forms, 'error-banner' for pages
+ */
+export const ErrorMessage = ({ error, className = 'error-message' }) => {
+  if (!error) {
+    return null;
+  }
+
+  const message = typeof error === 'string' ? error : error.message || 'Something went wrong';
+  return (
+    <div className={`${className} ${error instanceof NetworkError ? 'connection-error' : ''}`.trim()} role="alert">
+      {message}
+    </div>
+  );
+};
+
+/**
+ * The server's message for one field, shown under its input. Renders
+ * nothing unless `error` is a ValidationError naming that field.
+ * @param {Object} props
+ * @param {Error|string|null} props.error
+ * @param {string} props.field - camelCase field name, e.g. 'publishAt'
+ */
+export const FieldError = ({ error, field }) => {
+  const message = getFieldError(error, field);
+  if (!message) {
+    return null;
+  }
+  return <span className="field-error">{message}</span>;
+};
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { userAPI } from '../services/api';
+import './FollowButton.css';
+
+/**
+ * Follow/unfollow toggle for an author. Hidden on the current user's own name.
+ * onChange is called straight away with the new state, again with the
+ * server's follower count once saved, and with the old state if it fails.
+ * @param {Object} props
+ * @param {string} props.username
+ * @param {boolean} props.following
+ * @param {(following: boolean, followerCount?: number) => void} props.onChange
+ * @param {boolean} [props.compact] - Smaller style for use next to author names
+ */
+const FollowButton = ({ username, following, onChange, compact = false }) => {
+  const { user } = useAuth();
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!username || username === user?.username) {
+    return null;
+  }
+
+  const handleToggle = async () => {
+    if (pending) return;
+
+    setError('');
+    setPending(true);
+    onChange(!following);
+
+    try {
+      const data = following
+        ? await userAPI.unfollowUser(username)
+        : await userAPI.followUser(username);
+      onChange(!following, data?.follower_count);
+    } catch (err) {
+      onChange(following);
+      setError(err.message || 'Could not update follow');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className={`follow-button ${compact ? 'compact' : ''} ${following ? 'following' : ''}`}
+        onClick={handleToggle}
+        aria-pressed={following}
+        disabled={pending}
+        title={following ? `Unfollow ${username}` : `Follow ${username}`}
+      >
+        {following ? 'Following' : 'Follow'}
+      </button>
+      {error && (
+        <span className="follow-error" role="alert">
+          {error}
+        </span>
+      )}
+    </>
+  );
+};
+
+export default FollowButton;
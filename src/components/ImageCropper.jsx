@@ -0,0 +1,250 @@
+import { useState, useEffect, useRef } from 'react';
+import { CROP_ASPECTS } from '../utils/imageProcessing';
+import './ImageCropper.css';
+
+const MIN_CROP = 32;
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+const KEY_STEP = 10;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Largest crop of the given aspect ratio, centred in the image
+const fitCrop = (size, aspect) => {
+  if (!aspect) {
+    return { x: 0, y: 0, width: size.width, height: size.height };
+  }
+  let width = size.width;
+  let height = width / aspect;
+  if (height > size.height) {
+    height = size.height;
+    width = height * aspect;
+  }
+  return { x: (size.width - width) / 2, y: (size.height - height) / 2, width, height };
+};
+
+const moveCrop = (start, dx, dy, size) => ({
+  ...start,
+  x: clamp(start.x + dx, 0, size.width - start.width),
+  y: clamp(start.y + dy, 0, size.height - start.height),
+});
+
+// Drag one corner while the opposite corner stays put
+const resizeCrop = (start, corner, dx, dy, size, aspect) => {
+  const west = corner.includes('w');
+  const north = corner.includes('n');
+  const anchorX = west ? start.x + start.width : start.x;
+  const anchorY = north ? start.y + start.height : start.y;
+  const maxWidth = west ? anchorX : size.width - anchorX;
+  const maxHeight = north ? anchorY : size.height - anchorY;
+
+  let width = clamp(start.width + (west ? -dx : dx), MIN_CROP, maxWidth);
+  let height = clamp(start.height + (north ? -dy : dy), MIN_CROP, maxHeight);
+  if (aspect) {
+    if (width / height > aspect) {
+      height = width / aspect;
+    } else {
+      width = height * aspect;
+    }
+    if (width > maxWidth) {
+      width = maxWidth;
+      height = width / aspect;
+    }
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * aspect;
+    }
+  }
+
+  return { x: west ? anchorX - width : anchorX, y: north ? anchorY - height : anchorY, width, height };
+};
+
+/**
+ * Crop an image in a dialog. The crop area can be dragged, resized from its
+ * corners and moved with the arrow keys.
+ * @param {Object} props
+ * @param {File} props.file
+ * @param {Array<{label: string, value: number|null}>} [props.aspects] - Aspect ratios to offer; with one it is forced
+ * @param {(crop: {x: number, y: number, width: number, height: number}) => void} props.onConfirm - Crop in image pixels
+ * @param {() => void} props.onCancel
+ */
+const ImageCropper = ({
+  file,
+  aspects = CROP_ASPECTS,
+  title = 'Crop image',
+  confirmLabel = 'Apply Crop',
+  onConfirm,
+  onCancel,
+}) => {
+  const [src, setSrc] = useState(null);
+  const [size, setSize] = useState(null);
+  const [aspect, setAspect] = useState(aspects[0].value);
+  const [crop, setCrop] = useState(null);
+  const imageRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    const url = URL.createObjectURL(file);
+    setSrc(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onCancel();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const handleImageLoad = (e) => {
+    const natural = { width: e.target.naturalWidth, height: e.target.naturalHeight };
+    setSize(natural);
+    setCrop(fitCrop(natural, aspect));
+  };
+
+  const handleAspectChange = (value) => {
+    setAspect(value);
+    if (size) {
+      setCrop(fitCrop(size, value));
+    }
+  };
+
+  const startDrag = (mode) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const bounds = imageRef.current.getBoundingClientRect();
+    dragRef.current = {
+      mode,
+      startX: e.clientX,
+      startY: e.clientY,
+      start: crop,
+      // Image pixels per screen pixel
+      scale: size.width / bounds.width,
+    };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (e.clientX - drag.startX) * drag.scale;
+    const dy = (e.clientY - drag.startY) * drag.scale;
+    setCrop(
+      drag.mode === 'move'
+        ? moveCrop(drag.start, dx, dy, size)
+        : resizeCrop(drag.start, drag.mode, dx, dy, size, aspect)
+    );
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const handleCropKeyDown = (e) => {
+    const step = KEY_STEP * (e.shiftKey ? 5 : 1);
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    const [dx, dy] = moves[e.key];
+    setCrop((prev) => moveCrop(prev, dx, dy, size));
+  };
+
+  const handleConfirm = () => {
+    onConfirm({
+      x: Math.round(crop.x),
+      y: Math.round(crop.y),
+      width: Math.round(crop.width),
+      height: Math.round(crop.height),
+    });
+  };
+
+  const percent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <div
+      className="confirm-dialog-overlay"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onCancel();
+      }}
+    >
+      <div className="image-cropper" role="dialog" aria-modal="true" aria-labelledby="image-cropper-title">
+        <h3 id="image-cropper-title">{title}</h3>
+
+        {aspects.length > 1 && (
+          <div className="image-cropper-aspects" role="group" aria-label="Aspect ratio">
+            {aspects.map((option) => (
+              <button
+                key={option.label}
+                type="button"
+                className={aspect === option.value ? 'active' : ''}
+                aria-pressed={aspect === option.value}
+                onClick={() => handleAspectChange(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="image-cropper-stage">
+          <div className="image-cropper-frame">
+            {src && (
+              <img ref={imageRef} src={src} alt="" draggable={false} onLoad={handleImageLoad} />
+            )}
+            {size && crop && (
+              <div
+                className="image-cropper-area"
+                style={{
+                  left: percent(crop.x, size.width),
+                  top: percent(crop.y, size.height),
+                  width: percent(crop.width, size.width),
+                  height: percent(crop.height, size.height),
+                }}
+                tabIndex={0}
+                role="group"
+                aria-label="Crop area. Drag to move, or use the arrow keys."
+                onPointerDown={startDrag('move')}
+                onPointerMove={handlePointerMove}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+                onKeyDown={handleCropKeyDown}
+              >
+                {CORNERS.map((corner) => (
+                  <span
+                    key={corner}
+                    className={`image-cropper-handle ${corner}`}
+                    onPointerDown={startDrag(corner)}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {size && crop && (
+          <p className="image-cropper-size">
+            {Math.round(crop.width)} × {Math.round(crop.height)} px
+          </p>
+        )}
+
+        <div className="confirm-dialog-actions">
+          <button type="button" className="secondary-button" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="button" className="primary-button" onClick={handleConfirm} disabled={!crop}>
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImageCropper;
@@ -0,0 +1,437 @@
+import { useState, useEffect, useRef } from 'react';
+import { getImageUrl } from '../services/api';
+import {
+  getPostImages,
+  createImageItem,
+  validateImageFile,
+  moveItem,
+  MAX_POST_IMAGES,
+  IMAGE_ACCEPT,
+} from '../utils/images';
+import { processImage } from '../utils/imageProcessing';
+import ImageCropper from './ImageCropper';
+import './ImageGallery.css';
+
+// Preview URL for an image form item: an object URL for a new file, the
+// server URL for an image the post already has
+const useImageSrc = (item) => {
+  const [objectUrl, setObjectUrl] = useState(null);
+
+  useEffect(() => {
+    if (!item.file) {
+      setObjectUrl(null);
+      return;
+    }
+    const url = URL.createObjectURL(item.file);
+    setObjectUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [item.file]);
+
+  return item.file ? objectUrl : getImageUrl(item.url);
+};
+
+const hideBrokenImage = (e) => {
+  e.target.style.display = 'none';
+};
+
+const ImageEditorItem = ({
+  item,
+  index,
+  count,
+  disabled,
+  dragging,
+  dropTarget,
+  onAltChange,
+  onMove,
+  onCrop,
+  onRemove,
+  dragHandlers,
+}) => {
+  const src = useImageSrc(item);
+
+  return (
+    <li
+      className={`image-editor-item ${dragging ? 'dragging' : ''} ${dropTarget ? 'drop-target' : ''}`.trim()}
+      onDragOver={dragHandlers.onDragOver}
+      onDrop={dragHandlers.onDrop}
+    >
+      <div
+        className="image-editor-thumb"
+        draggable={!disabled}
+        onDragStart={dragHandlers.onDragStart}
+        onDragEnd={dragHandlers.onDragEnd}
+        title="Drag to reorder"
+      >
+        {src && <img src={src} alt="" />}
+        {index === 0 && <span className="image-cover-badge">Cover</span>}
+      </div>
+      <input
+        type="text"
+        className="image-alt-input"
+        value={item.alt}
+        onChange={(e) => onAltChange(e.target.value)}
+        placeholder="Describe this image (alt text)"
+        aria-label={`Alt text for image ${index + 1}`}
+        maxLength={250}
+        disabled={disabled}
+      />
+      <div className="image-editor-actions">
+        <button
+          type="button"
+          onClick={() => onMove(index - 1)}
+          disabled={disabled || index === 0}
+          aria-label={`Move image ${index + 1} earlier`}
+          title="Move earlier"
+        >
+          ←
+        </button>
+        <button
+          type="button"
+          onClick={() => onMove(index + 1)}
+          disabled={disabled || index === count - 1}
+          aria-label={`Move image ${index + 1} later`}
+          title="Move later"
+        >
+          →
+        </button>
+        {item.file && (
+          <button type="button" onClick={onCrop} className="link-button" disabled={disabled}>
+            Crop
+          </button>
+        )}
+        <button type="button" onClick={onRemove} className="link-button danger" disabled={disabled}>
+          Remove
+        </button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Image picker for the post forms: add several images, reorder them by
+ * dragging (or with the arrow buttons), give each alt text, crop new ones
+ * and remove any. The first image is the post's cover. Picked files go
+ * through processImage, so large photos are scaled down and metadata is
+ * stripped before they are kept.
+ * @param {Object} props
+ * @param {Array<Object>} props.value - Image form items, see utils/images
+ * @param {(items: Array<Object>) => void} props.onChange - Parents should apply this as a functional update,
+ *   since processing finishes after the pick
+ * @param {(message: string) => void} props.onError - Called with '' once a pick is valid again
+ */
+export const ImageGalleryInput = ({ id, value, onChange, onError, disabled = false }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [croppingKey, setCroppingKey] = useState(null);
+
+  // Processing is async; read the latest items when it finishes
+  const valueRef = useRef(value);
+  useEffect(() => {
+    valueRef.current = value;
+  });
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    const room = MAX_POST_IMAGES - value.length;
+    const accepted = [];
+    let error = '';
+    files.forEach((file) => {
+      const fileError = validateImageFile(file);
+      if (fileError) {
+        error = error || `${file.name}: ${fileError}`;
+      } else if (accepted.length < room) {
+        accepted.push(file);
+      } else {
+        error = error || `A post can have up to ${MAX_POST_IMAGES} images.`;
+      }
+    });
+
+    setProcessing(true);
+    const added = [];
+    // One at a time: decoding several large photos at once can exhaust memory on phones
+    for (const file of accepted) {
+      try {
+        added.push(createImageItem(await processImage(file)));
+      } catch (err) {
+        error = error || `${file.name}: ${err.message}`;
+      }
+    }
+    setProcessing(false);
+
+    onError(error);
+    if (added.length > 0) {
+      onChange([...valueRef.current, ...added]);
+    }
+  };
+
+  const croppingItem = value.find((item) => item.key === croppingKey);
+
+  const handleCrop = async (crop) => {
+    const item = croppingItem;
+    setCroppingKey(null);
+    setProcessing(true);
+    try {
+      const file = await processImage(item.file, { crop });
+      onChange(valueRef.current.map((other) => (other.key === item.key ? { ...other, file } : other)));
+      onError('');
+    } catch (err) {
+      onError(err.message || 'Failed to crop image');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const resetDrag = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const dragHandlersFor = (index) => ({
+    onDragStart: (e) => {
+      setDragIndex(index);
+      e.dataTransfer.effectAllowed = 'move';
+      // Firefox only starts a drag when some data is set
+      e.dataTransfer.setData('text/plain', String(index));
+    },
+    onDragOver: (e) => {
+      if (dragIndex === null) return;
+      e.preventDefault();
+      setDropIndex(index);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (dragIndex !== null && dragIndex !== index) {
+        onChange(moveItem(value, dragIndex, index));
+      }
+      resetDrag();
+    },
+    onDragEnd: resetDrag,
+  });
+
+  return (
+    <div className="image-gallery-input">
+      <input
+        id={id}
+        type="file"
+        accept={IMAGE_ACCEPT}
+        multiple
+        onChange={handleFiles}
+        disabled={disabled || processing || value.length >= MAX_POST_IMAGES}
+      />
+      <small className="file-hint">
+        {processing
+          ? 'Processing images...'
+          : `JPEG, PNG, GIF, or WebP, up to ${MAX_POST_IMAGES} images. Large photos are resized to fit 5MB and ` +
+            'location data is removed. Drag to reorder; the first image is the cover.'}
+      </small>
+      {value.length > 0 && (
+        <ol className="image-editor-list">
+          {value.map((item, index) => (
+            <ImageEditorItem
+              key={item.key}
+              item={item}
+              index={index}
+              count={value.length}
+              disabled={disabled || processing}
+              dragging={dragIndex === index}
+              dropTarget={dropIndex === index && dragIndex !== index}
+              onAltChange={(alt) =>
+                onChange(value.map((other) => (other.key === item.key ? { ...other, alt } : other)))
+              }
+              onMove={(to) => onChange(moveItem(value, index, to))}
+              onCrop={() => setCroppingKey(item.key)}
+              onRemove={() => onChange(value.filter((other) => other.key !== item.key))}
+              dragHandlers={dragHandlersFor(index)}
+            />
+          ))}
+        </ol>
+      )}
+      {croppingItem && (
+        <ImageCropper file={croppingItem.file} onConfirm={handleCrop} onCancel={() => setCroppingKey(null)} />
+      )}
+    </div>
+  );
+};
+
+/**
+ * A post's cover image for cards, with a count when it has more images
+ * @param {Object} props
+ * @param {Object} props.post
+ */
+export const PostCoverImage = ({ post }) => {
+  const images = getPostImages(post);
+  if (images.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="post-image">
+      <img src={getImageUrl(images[0].url)} alt={images[0].alt || post.title} onError={hideBrokenImage} />
+      {images.length > 1 && (
+        <span className="post-image-count" title={`${images.length} images`}>
+          +{images.length - 1}
+        </span>
+      )}
+    </div>
+  );
+};
+
+const SWIPE_DISTANCE = 50;
+
+const Lightbox = ({ images, index, title, onIndexChange, onClose }) => {
+  const closeButtonRef = useRef(null);
+  const touchStartRef = useRef(null);
+  const image = images[index];
+  const hasMany = images.length > 1;
+
+  const show = (next) => onIndexChange((next + images.length) % images.length);
+
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      } else if (event.key === 'ArrowLeft' && images.length > 1) {
+        onIndexChange((index - 1 + images.length) % images.length);
+      } else if (event.key === 'ArrowRight' && images.length > 1) {
+        onIndexChange((index + 1) % images.length);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [images.length, index, onIndexChange, onClose]);
+
+  return (
+    <div
+      className="lightbox-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-label={`Images for ${title}`}
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      onTouchStart={(e) => {
+        touchStartRef.current = e.touches[0].clientX;
+      }}
+      onTouchEnd={(e) => {
+        const start = touchStartRef.current;
+        touchStartRef.current = null;
+        if (start === null || !hasMany) return;
+        const distance = e.changedTouches[0].clientX - start;
+        if (Math.abs(distance) >= SWIPE_DISTANCE) {
+          show(distance < 0 ? index + 1 : index - 1);
+        }
+      }}
+    >
+      <button
+        ref={closeButtonRef}
+        type="button"
+        className="lightbox-close"
+        onClick={onClose}
+        aria-label="Close"
+      >
+        ×
+      </button>
+      {hasMany && (
+        <button
+          type="button"
+          className="lightbox-nav previous"
+          onClick={() => show(index - 1)}
+          aria-label="Previous image"
+        >
+          ‹
+        </button>
+      )}
+      <figure className="lightbox-figure">
+        <img src={getImageUrl(image.url)} alt={image.alt || title} />
+        <figcaption>
+          {image.alt && <span>{image.alt}</span>}
+          {hasMany && (
+            <span className="lightbox-counter">
+              {index + 1} / {images.length}
+            </span>
+          )}
+        </figcaption>
+      </figure>
+      {hasMany && (
+        <button
+          type="button"
+          className="lightbox-nav next"
+          onClick={() => show(index + 1)}
+          aria-label="Next image"
+        >
+          ›
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * A post's images in the post view: the selected image with a strip of
+ * thumbnails, opening a full-screen carousel on click
+ * @param {Object} props
+ * @param {Object} props.post
+ */
+export const ImageGallery = ({ post }) => {
+  const images = getPostImages(post);
+  const [selected, setSelected] = useState(0);
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+
+  if (images.length === 0) {
+    return null;
+  }
+
+  const current = images[Math.min(selected, images.length - 1)];
+
+  return (
+    <div className="image-gallery">
+      <button
+        type="button"
+        className="post-detail-image gallery-main"
+        onClick={() => setLightboxIndex(Math.min(selected, images.length - 1))}
+        aria-label="View full size"
+      >
+        <img src={getImageUrl(current.url)} alt={current.alt || post.title} onError={hideBrokenImage} />
+      </button>
+
+      {images.length > 1 && (
+        <ul className="gallery-thumbs" aria-label="Post images">
+          {images.map((image, index) => (
+            <li key={image.id ?? image.url}>
+              <button
+                type="button"
+                className={index === selected ? 'active' : ''}
+                onClick={() => setSelected(index)}
+                aria-label={`Show image ${index + 1} of ${images.length}`}
+                aria-current={index === selected}
+              >
+                <img src={getImageUrl(image.url)} alt="" onError={hideBrokenImage} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {lightboxIndex !== null && (
+        <Lightbox
+          images={images}
+          index={lightboxIndex}
+          title={post.title}
+          onIndexChange={(index) => {
+            setLightboxIndex(index);
+            setSelected(index);
+          }}
+          onClose={() => setLightboxIndex(null)}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,143 @@
+import { Link } from 'react-router-dom';
+import { postsAPI } from '../services/api';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import ReactionBar from './ReactionBar';
+import { PostCoverImage } from './ImageGallery';
+import { ErrorMessage } from './ErrorMessage';
+import { MarkdownExcerpt } from './Markdown';
+
+/**
+ * Posts the current user has reacted to, shown in the "Liked posts" tab of the profile
+ * @param {Object} props
+ * @param {'paged'|'infinite'} props.listMode
+ */
+const LikedPosts = ({ listMode }) => {
+  const {
+    items: posts,
+    setItems: setPosts,
+    pagination,
+    loading,
+    loadingMore,
+    error,
+    goToPage,
+    sentinelRef,
+  } = usePaginatedList({
+    key: 'liked-posts',
+    mode: listMode,
+    fetchPage: async (page) => {
+      const data = await postsAPI.getLikedPosts(page, 10);
+      return { items: data.posts || [], pagination: data.pagination };
+    },
+  });
+
+  // Un-reacting keeps the post here until the next load, so it can be undone
+  const handleReactionChange = (postId, reactionState) => {
+    setPosts((prev) => prev.map((post) => (post.id === postId ? { ...post, ...reactionState } : post)));
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination?.totalPages) {
+      goToPage(newPage);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  if (loading && (listMode === 'paged' || posts.length === 0)) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading liked posts...</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <ErrorMessage error={error} />
+      {posts.length === 0 ? (
+        !error && (
+          <div className="empty-state">
+            <p>You haven't reacted to any posts yet.</p>
+          </div>
+        )
+      ) : (
+        <>
+          <div className="user-posts-grid">
+            {posts.map((post) => (
+              <article key={post.id} className="user-post-card">
+                <PostCoverImage post={post} />
+                <div className="post-header">
+                  <h4 className="post-title">
+                    <Link to={`/posts/${post.id}`} className="post-title-link">
+                      {post.title}
+                    </Link>
+                  </h4>
+                  {post.author_name && (
+                    <span className="post-author">
+                      by{' '}
+                      <Link to={`/users/${encodeURIComponent(post.author_name)}`} className="post-author-link">
+                        {post.author_name}
+                      </Link>
+                    </span>
+                  )}
+                </div>
+                <div className="post-content">
+                  <MarkdownExcerpt source={post.content} />
+                </div>
+                <div className="post-reactions">
+                  <ReactionBar post={post} onChange={handleReactionChange} />
+                </div>
+                <div className="post-footer">
+                  <span className="post-date">{formatDate(post.created_at)}</span>
+                </div>
+              </article>
+            ))}
+          </div>
+
+          {listMode === 'infinite' ? (
+            <div ref={sentinelRef} className="infinite-scroll-status">
+              {loadingMore && (
+                <>
+                  <div className="loading-spinner"></div>
+                  <span>Loading more posts...</span>
+                </>
+              )}
+            </div>
+          ) : pagination && pagination.totalPages > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => handlePageChange(pagination.currentPage - 1)}
+                disabled={!pagination.hasPreviousPage || loading}
+                className="pagination-button"
+              >
+                Previous
+              </button>
+              <div className="pagination-info">
+                <span>
+                  Page {pagination.currentPage} of {pagination.totalPages}
+                </span>
+              </div>
+              <button
+                onClick={() => handlePageChange(pagination.currentPage + 1)}
+                disabled={!pagination.hasNextPage || loading}
+                className="pagination-button"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+};
+
+export default LikedPosts;
@@ -0,0 +1,26 @@
+import './ListModeToggle.css';
+
+const LABELS = {
+  paged: 'Pages',
+  infinite: 'Infinite scroll',
+};
+
+const ListModeToggle = ({ mode, onChange }) => {
+  return (
+    <div className="list-mode-toggle" role="group" aria-label="Browsing mode">
+      {Object.entries(LABELS).map(([value, label]) => (
+        <button
+          key={value}
+          type="button"
+          className={mode === value ? 'active' : ''}
+          aria-pressed={mode === value}
+          onClick={() => onChange(value)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ListModeToggle;
@@ -1,25 +1,31 @@
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { getFieldError } from '../services/errors';
+import { getSafeRedirectPath, withRedirect } from '../utils/redirect';
+import { ErrorMessage, FieldError } from './ErrorMessage';
 import './Login.css';
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
+  const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, sessionExpired, consumeRedirectPath } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const redirectTo = getSafeRedirectPath(searchParams.get('redirect'), null);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setError('');
+    setError(null);
     setLoading(true);
 
     const result = await login(email, password);
 
     if (result.success) {
-      navigate('/posts');
+      const storedPath = consumeRedirectPath('/posts');
+      navigate(redirectTo || storedPath, { replace: true });
     } else {
       setError(result.error || 'Login failed. Please try again.');
     }
@@ -33,12 +39,14 @@ const Login = () => {
         <h2>Welcome Back</h2>
         <p className="auth-subtitle">Sign in to continue to WordNest</p>
 
-        {error && (
-          <div className={`error-message ${error.includes('Cannot connect to server') ? 'connection-error' : ''}`}>
-            {error}
+        {sessionExpired && !error && (
+          <div className="info-message">
+            Your session has expired. Please sign in again to continue where you left off.
           </div>
         )}
 
+        <ErrorMessage error={error} />
+
         <form onSubmit={handleSubmit} className="auth-form">
           <div className="form-group">
             <label htmlFor="email">Email</label>
@@ -50,7 +58,9 @@ const Login = () => {
               required
               placeholder="Enter your email"
               disabled={loading}
+              aria-invalid={Boolean(getFieldError(error, 'email'))}
             />
+            <FieldError error={error} field="email" />
           </div>
 
           <div className="form-group">
@@ -63,7 +73,9 @@ const Login = () => {
               required
               placeholder="Enter your password"
               disabled={loading}
+              aria-invalid={Boolean(getFieldError(error, 'password'))}
             />
+            <FieldError error={error} field="password" />
           </div>
 
           <button type="submit" className="auth-button" disabled={loading}>
@@ -72,7 +84,7 @@ const Login = () => {
         </form>
 
         <p className="auth-footer">
-          Don't have an account? <Link to="/signup">Sign up</Link>
+          Don't have an account? <Link to={withRedirect('/signup', redirectTo)}>Sign up</Link>
         </p>
       </div>
     </div>
@@ -0,0 +1,244 @@
+import { useState, useRef, useMemo } from 'react';
+import { parseMarkdown, stripMarkdown } from '../utils/markdown';
+import './Markdown.css';
+
+const renderInline = (nodes) =>
+  nodes.map((node, index) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'break':
+        return <br key={index} />;
+      case 'code':
+        return <code key={index}>{node.value}</code>;
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'link': {
+        const isExternal = /^(https?|mailto):/.test(node.href);
+        return (
+          <a
+            key={index}
+            href={node.href}
+            {...(isExternal && { target: '_blank', rel: 'noopener noreferrer nofollow' })}
+          >
+            {renderInline(node.children)}
+          </a>
+        );
+      }
+      default:
+        return null;
+    }
+  });
+
+const renderBlocks = (blocks) =>
+  blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const Heading = `h${block.level}`;
+        return <Heading key={index}>{renderInline(block.children)}</Heading>;
+      }
+      case 'paragraph':
+        return <p key={index}>{renderInline(block.children)}</p>;
+      case 'list': {
+        const items = block.items.map((item, itemIndex) => (
+          <li key={itemIndex}>{renderInline(item)}</li>
+        ));
+        return block.ordered ? (
+          <ol key={index} start={block.start}>{items}</ol>
+        ) : (
+          <ul key={index}>{items}</ul>
+        );
+      }
+      case 'codeBlock':
+        return (
+          <pre key={index}>
+            <code className={block.language ? `language-${block.language}` : undefined}>
+              {block.value}
+            </code>
+          </pre>
+        );
+      case 'blockquote':
+        return <blockquote key={index}>{renderBlocks(block.children)}</blockquote>;
+      case 'rule':
+        return <hr key={index} />;
+      default:
+        return null;
+    }
+  });
+
+/**
+ * Render Markdown post content. Only a safe subset is supported and raw HTML
+ * is displayed as text, so user content cannot inject markup or scripts.
+ */
+export const MarkdownContent = ({ source, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(source || ''), [source]);
+
+  return <div className={`markdown-content ${className}`.trim()}>{renderBlocks(blocks)}</div>;
+};
+
+/**
+ * Plain-text excerpt of Markdown content for cards and lists, worked out once
+ * per source instead of on every render of the list
+ * @param {Object} props
+ * @param {string} props.source
+ * @param {boolean} [props.inline] - Render a span instead of a paragraph
+ * @param {string} [props.className]
+ */
+export const MarkdownExcerpt = ({ source, inline = false, className }) => {
+  const text = useMemo(() => stripMarkdown(source || ''), [source]);
+
+  return inline ? <span className={className}>{text}</span> : <p className={className}>{text}</p>;
+};
+
+// Toolbar actions: wrap the selection, or prefix every selected line
+const ACTIONS = {
+  bold: { label: 'B', title: 'Bold (Ctrl+B)', wrap: ['**', '**'], placeholder: 'bold text' },
+  italic: { label: 'I', title: 'Italic (Ctrl+I)', wrap: ['*', '*'], placeholder: 'italic text' },
+  heading: { label: 'H', title: 'Heading', prefix: () => '## ' },
+  link: { label: 'Link', title: 'Link (Ctrl+K)', wrap: ['[', '](https://)'], placeholder: 'link text' },
+  code: { label: '</>', title: 'Inline code (Ctrl+E)', wrap: ['`', '`'], placeholder: 'code' },
+  codeBlock: { label: '{ }', title: 'Code block (Ctrl+Shift+E)', wrap: ['```\n', '\n```'], placeholder: 'code', block: true },
+  bulletList: { label: '• List', title: 'Bulleted list (Ctrl+Shift+8)', prefix: () => '- ' },
+  numberedList: { label: '1. List', title: 'Numbered list (Ctrl+Shift+7)', prefix: (index) => `${index + 1}. ` },
+  quote: { label: '❝', title: 'Quote (Ctrl+Shift+.)', prefix: () => '> ' },
+};
+
+const SHORTCUTS = {
+  b: 'bold',
+  i: 'italic',
+  k: 'link',
+  e: 'code',
+  'shift+e': 'codeBlock',
+  'shift+8': 'bulletList',
+  'shift+*': 'bulletList',
+  'shift+7': 'numberedList',
+  'shift+&': 'numberedList',
+  'shift+.': 'quote',
+  'shift+>': 'quote',
+};
+
+/**
+ * Markdown editor with a formatting toolbar, keyboard shortcuts and live preview
+ * @param {Object} props
+ * @param {string} props.value - Markdown source
+ * @param {(value: string) => void} props.onChange - Called with the new source
+ */
+export const MarkdownEditor = ({
+  id,
+  value,
+  onChange,
+  placeholder,
+  rows = 8,
+  disabled = false,
+  required = false,
+}) => {
+  const [showPreview, setShowPreview] = useState(false);
+  const textareaRef = useRef(null);
+
+  const applyAction = (actionName) => {
+    const textarea = textareaRef.current;
+    const action = ACTIONS[actionName];
+    if (!textarea || !action || disabled) return;
+
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    let before = value.slice(0, start);
+    const selected = value.slice(start, end);
+    const after = value.slice(end);
+    let replacement;
+    let selectFrom;
+    let selectTo;
+
+    if (action.prefix) {
+      // Extend the selection to whole lines and prefix each one
+      const lineStart = before.lastIndexOf('\n') + 1;
+      const lines = (before.slice(lineStart) + selected).split('\n');
+      before = before.slice(0, lineStart);
+      replacement = lines.map((line, index) => `${action.prefix(index)}${line}`).join('\n');
+      selectFrom = lineStart;
+      selectTo = lineStart + replacement.length;
+    } else {
+      const [open, close] = action.wrap;
+      const text = selected || action.placeholder;
+      // Code blocks need to start on their own line
+      const leadingBreak = action.block && before && !before.endsWith('\n') ? '\n' : '';
+      replacement = `${leadingBreak}${open}${text}${close}`;
+      selectFrom = start + leadingBreak.length + open.length;
+      selectTo = selectFrom + text.length;
+    }
+
+    onChange(`${before}${replacement}${after}`);
+
+    // Restore focus and selection once React has applied the new value
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(selectFrom, selectTo);
+    });
+  };
+
+  const handleKeyDown = (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const key = `${event.shiftKey ? 'shift+' : ''}${event.key.toLowerCase()}`;
+    const actionName = SHORTCUTS[key];
+    if (actionName) {
+      event.preventDefault();
+      applyAction(actionName);
+    }
+  };
+
+  return (
+    <div className={`markdown-editor ${showPreview ? 'with-preview' : ''}`}>
+      <div className="markdown-toolbar" role="toolbar" aria-label="Formatting">
+        {Object.entries(ACTIONS).map(([name, action]) => (
+          <button
+            key={name}
+            type="button"
+            className={`markdown-toolbar-button ${name}`}
+            title={action.title}
+            aria-label={action.title}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => applyAction(name)}
+            disabled={disabled}
+          >
+            {action.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          className={`markdown-preview-toggle ${showPreview ? 'active' : ''}`}
+          onClick={() => setShowPreview((prev) => !prev)}
+          aria-pressed={showPreview}
+        >
+          {showPreview ? 'Hide Preview' : 'Preview'}
+        </button>
+      </div>
+      <div className="markdown-panes">
+        <textarea
+          id={id}
+          ref={textareaRef}
+          rows={rows}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder}
+          disabled={disabled}
+          required={required}
+        ></textarea>
+        {showPreview && (
+          <div className="markdown-preview" aria-live="polite">
+            {value.trim() ? (
+              <MarkdownContent source={value} />
+            ) : (
+              <p className="markdown-preview-empty">Nothing to preview yet.</p>
+            )}
+          </div>
+        )}
+      </div>
+      <small className="file-hint">
+        Markdown supported: **bold**, *italic*, # headings, - lists, `code`, ```code blocks```, [links](https://...)
+      </small>
+    </div>
+  );
+};
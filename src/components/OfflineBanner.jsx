@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { API_BASE_URL } from '../services/api';
+import { outboxAPI } from '../services/outbox';
+import { serverHealth, onServerRecovered } from '../services/health';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { useOutbox } from '../hooks/useOutbox';
+import { useServerHealth } from '../hooks/useServerHealth';
+import './OfflineBanner.css';
+
+// How long "Reconnected" stays up after the server comes back
+const RECOVERED_NOTICE_MS = 3000;
+
+const countChanges = (count) => `${count} ${count === 1 ? 'change' : 'changes'}`;
+
+// Whole seconds left until `time`, updated every second
+const useSecondsUntil = (time) => {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!time) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [time]);
+
+  return time ? Math.max(0, Math.ceil((time - now) / 1000)) : null;
+};
+
+const syncOutbox = (userId) => {
+  outboxAPI.sync(userId).catch((error) => console.error('Failed to sync outbox:', error));
+};
+
+/**
+ * App-wide connection status: shown when the browser is offline, when the
+ * backend can't be reached (with the next health check counting down), and
+ * while queued changes wait to be sent. Sends the outbox whenever the
+ * connection or the server comes back.
+ */
+const OfflineBanner = () => {
+  const { user } = useAuth();
+  const online = useOnlineStatus();
+  const health = useServerHealth();
+  const entries = useOutbox(user?.id);
+  const secondsToCheck = useSecondsUntil(health.nextCheckAt);
+  const [recovered, setRecovered] = useState(false);
+
+  useEffect(() => {
+    if (!online || !user?.id) return;
+    syncOutbox(user.id);
+  }, [online, user?.id]);
+
+  useEffect(() => {
+    let timer = null;
+    const unsubscribe = onServerRecovered(() => {
+      if (user?.id) {
+        syncOutbox(user.id);
+      }
+      setRecovered(true);
+      clearTimeout(timer);
+      timer = setTimeout(() => setRecovered(false), RECOVERED_NOTICE_MS);
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+    };
+  }, [user?.id]);
+
+  const waiting = entries.filter((entry) => entry.status !== 'failed').length;
+  const failed = entries.length - waiting;
+  const syncing = entries.some((entry) => entry.status === 'syncing');
+  const serverDown = health.status === 'down';
+
+  if (online && !serverDown && !recovered && entries.length === 0) {
+    return null;
+  }
+
+  let message;
+  let tone = 'info';
+  let action = null;
+  if (!online) {
+    tone = 'warning';
+    message = waiting
+      ? `You're offline. Posts you've viewed are still available; ${countChanges(waiting)} will be sent when you reconnect.`
+      : "You're offline. Posts you've viewed are still available; new posts and edits will be sent when you reconnect.";
+  } else if (serverDown) {
+    tone = 'error';
+    message = `Can't reach the server at ${API_BASE_URL}. `;
+    if (health.checking) {
+      message += 'Checking...';
+    } else if (secondsToCheck !== null) {
+      message += `Retrying in ${secondsToCheck}s.`;
+    }
+    if (!health.checking) {
+      action = { label: 'Retry now', onClick: serverHealth.checkNow };
+    }
+  } else if (syncing) {
+    message = `Syncing ${countChanges(waiting)}...`;
+  } else if (waiting) {
+    message = `${countChanges(waiting)} waiting to sync.`;
+    action = { label: 'Sync now', onClick: () => syncOutbox(user.id) };
+  } else if (failed) {
+    message = `${countChanges(failed)} could not be synced. Retry or discard them from your profile.`;
+  } else {
+    message = 'Reconnected to the server.';
+  }
+
+  return (
+    <div className={`offline-banner ${tone}`} role="status">
+      <span>{message}</span>
+      {action && (
+        <button type="button" className="offline-banner-action" onClick={action.onClick}>
+          {action.label}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,53 @@
+import './Outbox.css';
+
+const STATUS_LABELS = {
+  pending: 'Waiting to sync',
+  syncing: 'Syncing...',
+  failed: 'Sync failed',
+};
+
+/**
+ * Sync state of a change queued while offline
+ * @param {Object} props
+ * @param {'pending'|'syncing'|'failed'} props.status
+ */
+export const SyncStatusBadge = ({ status }) => (
+  <span className={`sync-status-badge ${status}`}>{STATUS_LABELS[status]}</span>
+);
+
+/**
+ * Posts created or edited offline, each with its sync status
+ * @param {Object} props
+ * @param {Array<Object>} props.entries - From useOutbox
+ * @param {(entry: Object) => void} props.onRetry
+ * @param {(entry: Object) => void} props.onDiscard
+ * @param {(date: string) => string} props.formatDate
+ */
+export const OutboxList = ({ entries, onRetry, onDiscard, formatDate }) => (
+  <ul className="drafts-list">
+    {entries.map((entry) => (
+      <li key={entry.id} className="draft-item">
+        <div className="draft-info">
+          <span className="draft-kind">{entry.type === 'create' ? 'New post' : 'Edit'}</span>
+          <span className="draft-title">{(entry.title || '').trim() || '(Untitled)'}</span>
+          <span className="post-date">
+            <SyncStatusBadge status={entry.status} /> Saved {formatDate(entry.createdAt)}
+          </span>
+          {entry.error && <span className="sync-error">{entry.error}</span>}
+        </div>
+        {entry.status !== 'syncing' && (
+          <div className="draft-actions">
+            {entry.status === 'failed' && (
+              <button onClick={() => onRetry(entry)} className="primary-button small">
+                Retry
+              </button>
+            )}
+            <button onClick={() => onDiscard(entry)} className="secondary-button small">
+              Discard
+            </button>
+          </div>
+        )}
+      </li>
+    ))}
+  </ul>
+);
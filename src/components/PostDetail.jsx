@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { postsAPI } from '../services/api';
+import { NotFoundError } from '../services/errors';
+import { useRetryOnRecovery } from '../hooks/useRetryOnRecovery';
+import { getPostTags } from '../utils/tags';
+import { MarkdownContent } from './Markdown';
+import CommentSection from './CommentSection';
+import ReactionBar from './ReactionBar';
+import FollowButton from './FollowButton';
+import { TagList } from './Tags';
+import { ImageGallery } from './ImageGallery';
+import { ErrorMessage } from './ErrorMessage';
+import './PostDetail.css';
+
+const PostDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  useRetryOnRecovery(() => fetchPost(id), Boolean(error));
+
+  useEffect(() => {
+    // Lists keep their scroll position, so start each post at the top
+    window.scrollTo(0, 0);
+    fetchPost(id);
+  }, [id]);
+
+  const fetchPost = async (postId) => {
+    setLoading(true);
+    setError(null);
+    setNotFound(false);
+
+    try {
+      const data = await postsAPI.getPostById(postId);
+      // Some backends wrap the post, others return it directly
+      setPost(data.post || data);
+    } catch (err) {
+      setPost(null);
+      if (err instanceof NotFoundError) {
+        setNotFound(true);
+      } else {
+        setError(err);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const wasEdited = post?.updated_at && post.updated_at !== post.created_at;
+
+  return (
+    <div className="post-detail-container">
+      <div className="post-detail-header">
+        <Link to="/posts" className="logo-link">
+          <h1>WordNest</h1>
+        </Link>
+        <button onClick={() => navigate('/posts')} className="back-button">
+          Back to Posts
+        </button>
+      </div>
+
+      <div className="post-detail-content">
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading post...</p>
+          </div>
+        ) : notFound ? (
+          <div className="post-detail-state">
+            <h2>Post not found</h2>
+            <p>This post may have been deleted, or the link might be incorrect.</p>
+            <Link to="/posts" className="primary-button">
+              Browse all posts
+            </Link>
+          </div>
+        ) : error ? (
+          <div className="post-detail-state">
+            <ErrorMessage error={error} className="error-banner" />
+            <button onClick={() => fetchPost(id)} className="primary-button">
+              Try Again
+            </button>
+          </div>
+        ) : post && (
+          <article className="post-detail-card">
+            <ImageGallery key={post.id} post={post} />
+            <div className="post-detail-body">
+              <h2 className="post-detail-title">{post.title}</h2>
+              <div className="post-detail-meta">
+                {post.author_name && (
+                  <span className="post-author">
+                    by{' '}
+                    <Link to={`/users/${encodeURIComponent(post.author_name)}`} className="post-author-link">
+                      {post.author_name}
+                    </Link>
+                    <FollowButton
+                      username={post.author_name}
+                      following={Boolean(post.following_author)}
+                      onChange={(following) => setPost((prev) => ({ ...prev, following_author: following }))}
+                      compact
+                    />
+                  </span>
+                )}
+                <span className="post-date">
+                  Published {formatDate(post.created_at)}
+                </span>
+                {wasEdited && (
+                  <span className="post-date">
+                    Updated {formatDate(post.updated_at)}
+                  </span>
+                )}
+              </div>
+              <TagList tags={getPostTags(post)} className="post-detail-tags" />
+              <MarkdownContent source={post.content} className="post-detail-text" />
+            </div>
+            <div className="post-detail-footer">
+              <ReactionBar
+                post={post}
+                onChange={(postId, reactionState) => setPost((prev) => ({ ...prev, ...reactionState }))}
+              />
+              <button onClick={handleCopyLink} className="secondary-button">
+                {linkCopied ? 'Link copied!' : 'Copy link'}
+              </button>
+            </div>
+          </article>
+        )}
+
+        {post && <CommentSection key={post.id} postId={post.id} commentCount={post.comment_count} />}
+      </div>
+    </div>
+  );
+};
+
+export default PostDetail;
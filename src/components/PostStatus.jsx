@@ -0,0 +1,88 @@
+import {
+  POST_STATUSES,
+  getPostStatus,
+  toDateTimeLocal,
+  getTimeZoneLabel,
+} from '../utils/postStatus';
+import './PostStatus.css';
+
+const DESCRIPTIONS = {
+  published: 'Visible to everyone now',
+  scheduled: 'Goes live at a set time',
+  draft: 'Only visible to you',
+};
+
+const formatPublishAt = (value) =>
+  new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  });
+
+/**
+ * Status badge for a post, with the publish time for scheduled posts
+ * @param {Object} props
+ * @param {Object} props.post
+ */
+export const PostStatusBadge = ({ post }) => {
+  const status = getPostStatus(post);
+  const label = POST_STATUSES.find((option) => option.value === status).label;
+
+  return (
+    <span className={`post-status-badge ${status}`}>
+      {label}
+      {status === 'scheduled' && post.publish_at && ` · ${formatPublishAt(post.publish_at)}`}
+    </span>
+  );
+};
+
+/**
+ * Status picker for the post forms, with a date-time picker for scheduled posts
+ * @param {Object} props
+ * @param {string} props.idPrefix - Makes input ids unique when several forms are on a page
+ * @param {string} props.status - 'published', 'scheduled' or 'draft'
+ * @param {string} props.publishAt - datetime-local value in the browser's time zone
+ * @param {(settings: {status: string, publishAt: string}) => void} props.onChange
+ */
+export const PublishSettings = ({ idPrefix, status, publishAt, onChange, disabled = false }) => {
+  return (
+    <fieldset className="publish-settings" disabled={disabled}>
+      <legend>Visibility</legend>
+      <div className="publish-status-options">
+        {POST_STATUSES.map((option) => (
+          <label
+            key={option.value}
+            className={`publish-status-option ${status === option.value ? 'active' : ''}`}
+          >
+            <input
+              type="radio"
+              name={`${idPrefix}-status`}
+              value={option.value}
+              checked={status === option.value}
+              onChange={() => onChange({ status: option.value, publishAt })}
+            />
+            <span className="publish-status-label">{option.label}</span>
+            <small>{DESCRIPTIONS[option.value]}</small>
+          </label>
+        ))}
+      </div>
+      {status === 'scheduled' && (
+        <div className="publish-at">
+          <label htmlFor={`${idPrefix}-publish-at`}>Publish at</label>
+          <input
+            id={`${idPrefix}-publish-at`}
+            type="datetime-local"
+            value={publishAt}
+            min={toDateTimeLocal(new Date())}
+            onChange={(e) => onChange({ status, publishAt: e.target.value })}
+            required
+          />
+          <small className="file-hint">Time zone: {getTimeZoneLabel()}</small>
+        </div>
+      )}
+    </fieldset>
+  );
+};
@@ -1,53 +1,197 @@
-import { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { postsAPI, getImageUrl } from '../services/api';
+import { postsAPI } from '../services/api';
+import { NetworkError, ValidationError, getFieldError } from '../services/errors';
+import { draftsAPI, onDraftsChanged, NEW_POST_DRAFT } from '../services/drafts';
+import { outboxAPI } from '../services/outbox';
+import { useDraftAutosave } from '../hooks/useDraftAutosave';
+import { useUnsavedChangesWarning } from '../hooks/useUnsavedChangesWarning';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import { useListMode } from '../hooks/useListMode';
+import { useUserPreference } from '../hooks/useUserPreference';
+import { useUpload } from '../hooks/useUpload';
+import { useOutbox } from '../hooks/useOutbox';
+import {
+  EMPTY_FILTERS,
+  filtersFromParams,
+  applyFiltersToParams,
+  serializeFilters,
+  hasActiveFilters,
+} from '../utils/postFilters';
+import { SORT_OPTIONS, SORT_VALUES, DEFAULT_SORT, sortPosts } from '../utils/postSort';
+import { getPostTags } from '../utils/tags';
+import {
+  DEFAULT_STATUS,
+  validatePublishSettings,
+  fromDateTimeLocal,
+} from '../utils/postStatus';
+import { MarkdownEditor, MarkdownExcerpt } from './Markdown';
+import ListModeToggle from './ListModeToggle';
+import ReactionBar from './ReactionBar';
+import BookmarkButton from './BookmarkButton';
+import FollowButton from './FollowButton';
+import { TagInput, TagList } from './Tags';
+import { PublishSettings } from './PostStatus';
+import { ErrorMessage, FieldError } from './ErrorMessage';
+import { ImageGalleryInput, PostCoverImage } from './ImageGallery';
+import UploadProgress from './UploadProgress';
+import ConfirmDialog from './ConfirmDialog';
 import './Posts.css';
 
+const EMPTY_POST = { title: '', content: '', tags: [], images: [] };
+const DEFAULT_PUBLISH_SETTINGS = { status: DEFAULT_STATUS, publishAt: '' };
+const SUBMIT_LABELS = {
+  published: 'Publish Post',
+  scheduled: 'Schedule Post',
+  draft: 'Save as Draft',
+};
+
 const Posts = () => {
-  const [posts, setPosts] = useState([]);
-  const [pagination, setPagination] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
   const [limit] = useState(10);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
   const [showCreateForm, setShowCreateForm] = useState(false);
-  const [newPost, setNewPost] = useState({ title: '', content: '', image: null });
-  const [imagePreview, setImagePreview] = useState(null);
+  const [newPost, setNewPost] = useState(EMPTY_POST);
+  const [publishSettings, setPublishSettings] = useState(DEFAULT_PUBLISH_SETTINGS);
+  const [statusNotice, setStatusNotice] = useState('');
   const [creating, setCreating] = useState(false);
+  const { upload, run: runUpload, cancel: cancelUpload } = useUpload();
   const [formError, setFormError] = useState('');
   const [showProfileDropdown, setShowProfileDropdown] = useState(false);
+  const [draftReady, setDraftReady] = useState(false);
+  const [draftRestored, setDraftRestored] = useState(false);
+  const [hasSavedDraft, setHasSavedDraft] = useState(false);
+  const [confirmingDiscard, setConfirmingDiscard] = useState(false);
   
   const { logout, user } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Filters live in the URL so a filtered view can be shared; the inputs are
+  // debounced before being written back to avoid a request per keystroke
+  const filtersKey = serializeFilters(filtersFromParams(searchParams));
+  const filters = useMemo(() => filtersFromParams(new URLSearchParams(filtersKey)), [filtersKey]);
+  const [filterInputs, setFilterInputs] = useState(filters);
+  const debouncedFilterInputs = useDebouncedValue(filterInputs, 400);
+
+  // "All" or "Following" (posts by followed authors), also kept in the URL
+  const feed = searchParams.get('feed') === 'following' ? 'following' : 'all';
+
+  const [listMode, setListMode] = useListMode(user?.id);
+  const [sort, setSort] = useUserPreference('postsSort', user?.id, DEFAULT_SORT, SORT_VALUES);
+  const {
+    items: posts,
+    setItems: setPosts,
+    pagination,
+    loading,
+    loadingMore,
+    error,
+    goToPage,
+    reload,
+    sentinelRef,
+  } = usePaginatedList({
+    key: `posts?${filtersKey}&sort=${sort}&feed=${feed}`,
+    mode: listMode,
+    fetchPage: async (page) => {
+      const data = feed === 'following'
+        ? await postsAPI.getFollowingFeed(page, limit, filters, sort)
+        : await postsAPI.getPosts(page, limit, filters, sort);
+      return { items: data.posts || [], pagination: data.pagination };
+    },
+  });
+
+  const draftDirty = Boolean(
+    newPost.title.trim() || newPost.content.trim() || newPost.tags.length || newPost.images.length
+  );
+  const { lastSavedAt, discardDraft } = useDraftAutosave({
+    userId: user?.id,
+    draftKey: NEW_POST_DRAFT,
+    draft: newPost,
+    dirty: draftDirty,
+    enabled: showCreateForm && draftReady,
+  });
+
+  useUnsavedChangesWarning(
+    showCreateForm && draftDirty && !creating,
+    'You have an unpublished post. It has been saved as a draft. Leave this page?'
+  );
 
+  // Show posts created offline once they have been synced
+  const queuedPostCount = useOutbox(user?.id).filter((entry) => entry.type === 'create').length;
+  const queuedPostCountRef = useRef(queuedPostCount);
   useEffect(() => {
-    fetchPosts(currentPage);
-  }, [currentPage]);
+    if (queuedPostCount < queuedPostCountRef.current) {
+      reload();
+    }
+    queuedPostCountRef.current = queuedPostCount;
+  }, [queuedPostCount, reload]);
 
-  const fetchPosts = async (page) => {
-    setLoading(true);
-    setError('');
+  useEffect(() => {
+    if (!user?.id) return;
 
-    try {
-      const data = await postsAPI.getPosts(page, limit);
-      setPosts(data.posts || []);
-      setPagination(data.pagination);
-    } catch (err) {
-      setError(err.message || 'Failed to fetch posts');
-      if (err.message.includes('token') || err.message.includes('Unauthorized')) {
-        // Token expired or invalid, logout and redirect to login
-        logout();
-        navigate('/login');
-      }
-    } finally {
-      setLoading(false);
+    const checkDraft = () => {
+      setHasSavedDraft(draftsAPI.list(user.id).some((draft) => draft.key === NEW_POST_DRAFT));
+    };
+
+    checkDraft();
+    return onDraftsChanged(checkDraft);
+  }, [user?.id]);
+
+  // Back and forward change the URL under the inputs; follow it unless the
+  // inputs already match (they may differ only in whitespace being typed)
+  useEffect(() => {
+    setFilterInputs((prev) => (serializeFilters(prev) === filtersKey ? prev : filters));
+  }, [filtersKey, filters]);
+
+  // Write the inputs back only when they change, so an older debounced value
+  // can't undo a back or forward navigation
+  const writtenFilterInputsRef = useRef(debouncedFilterInputs);
+  useEffect(() => {
+    if (writtenFilterInputsRef.current === debouncedFilterInputs) return;
+    writtenFilterInputsRef.current = debouncedFilterInputs;
+    const next = applyFiltersToParams(searchParams, debouncedFilterInputs);
+    if (next.toString() !== searchParams.toString()) {
+      setSearchParams(next, { replace: true });
+    }
+  }, [debouncedFilterInputs, searchParams, setSearchParams]);
+
+  const handleFilterChange = (field, value) => {
+    setFilterInputs((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleFeedChange = (nextFeed) => {
+    const next = new URLSearchParams(searchParams);
+    if (nextFeed === 'following') {
+      next.set('feed', 'following');
+    } else {
+      next.delete('feed');
     }
+    setSearchParams(next);
+  };
+
+  const handleClearFilters = () => {
+    setFilterInputs(EMPTY_FILTERS);
+  };
+
+  const filtersActive = hasActiveFilters(filters);
+  const visiblePosts = sortPosts(posts, sort);
+
+  // Apply a reaction or bookmark change to one post in the loaded list
+  const handlePostChange = (postId, changes) => {
+    setPosts((prev) => prev.map((post) => (post.id === postId ? { ...post, ...changes } : post)));
+  };
+
+  // Following an author updates every loaded post of theirs
+  const handleFollowChange = (authorName, following) => {
+    setPosts((prev) =>
+      prev.map((post) => (post.author_name === authorName ? { ...post, following_author: following } : post))
+    );
   };
 
   const handlePageChange = (newPage) => {
     if (newPage >= 1 && newPage <= pagination?.totalPages) {
-      setCurrentPage(newPage);
+      goToPage(newPage);
       window.scrollTo({ top: 0, behavior: 'smooth' });
     }
   };
@@ -81,46 +225,64 @@ const Posts = () => {
     };
   }, [showProfileDropdown]);
 
-  const handleToggleForm = () => {
-    setShowCreateForm((prev) => !prev);
+  const openCreateForm = useCallback(async () => {
+    setShowCreateForm(true);
+    setStatusNotice('');
     setFormError('');
-    setNewPost({ title: '', content: '', image: null });
-    setImagePreview(null);
-  };
-
-  const handleImageChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) {
-      setNewPost({ ...newPost, image: null });
-      setImagePreview(null);
-      return;
+    setDraftReady(false);
+    setDraftRestored(false);
+
+    // Restore the autosaved draft, if there is one
+    const draft = user?.id ? await draftsAPI.get(user.id, NEW_POST_DRAFT) : null;
+    if (draft) {
+      setNewPost({ title: draft.title, content: draft.content, tags: draft.tags || [], images: draft.images || [] });
+      setDraftRestored(true);
     }
+    setDraftReady(true);
+  }, [user?.id]);
 
-    // Validate file type
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-    if (!allowedTypes.includes(file.type)) {
-      setFormError('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.');
-      e.target.value = '';
-      return;
+  // "Continue" on a draft in the profile opens the form straight away
+  useEffect(() => {
+    if (location.state?.openDraft && user?.id) {
+      openCreateForm();
+      navigate(location.pathname, { replace: true, state: null });
     }
+  }, [location.state, location.pathname, user?.id, navigate, openCreateForm]);
 
-    // Validate file size (5MB = 5 * 1024 * 1024 bytes)
-    const maxSize = 5 * 1024 * 1024;
-    if (file.size > maxSize) {
-      setFormError('File too large. Maximum size is 5MB.');
-      e.target.value = '';
-      return;
+  const handleToggleForm = () => {
+    if (showCreateForm) {
+      // The autosave hook writes out any pending changes as the form closes
+      setShowCreateForm(false);
+      setDraftReady(false);
+      setFormError('');
+      setNewPost(EMPTY_POST);
+      setPublishSettings(DEFAULT_PUBLISH_SETTINGS);
+    } else {
+      openCreateForm();
     }
+  };
 
-    setFormError('');
-    setNewPost({ ...newPost, image: file });
+  const handleConfirmDiscardDraft = async () => {
+    setConfirmingDiscard(false);
+    await discardDraft();
+    setNewPost(EMPTY_POST);
+    setDraftRestored(false);
+  };
 
-    // Create preview
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      setImagePreview(reader.result);
-    };
-    reader.readAsDataURL(file);
+  // Without a connection the post goes to the outbox and is sent on reconnect.
+  // A request that may have reached the server is not queued, since sending it
+  // again could create the post twice. Resolves to true if it was queued.
+  const createOrQueue = async (post) => {
+    if (navigator.onLine) {
+      try {
+        await runUpload((uploadOptions) => postsAPI.createPost(post, uploadOptions));
+        return false;
+      } catch (err) {
+        if (!(err instanceof NetworkError) || err.bodySent !== false) throw err;
+      }
+    }
+    await outboxAPI.add(user.id, { type: 'create', title: post.title, payload: post });
+    return true;
   };
 
   const handleCreatePost = async (event) => {
@@ -129,7 +291,16 @@ const Posts = () => {
     const content = newPost.content.trim();
 
     if (!title || !content) {
-      setFormError('Title and content are required');
+      const fields = {};
+      if (!title) fields.title = 'Title is required';
+      if (!content) fields.content = 'Content is required';
+      setFormError(new ValidationError('Title and content are required', { fields }));
+      return;
+    }
+
+    const publishError = validatePublishSettings(publishSettings);
+    if (publishError) {
+      setFormError(publishError);
       return;
     }
 
@@ -137,22 +308,46 @@ const Posts = () => {
     setFormError('');
 
     try {
-      await postsAPI.createPost({ 
-        title, 
-        content, 
-        image: newPost.image 
+      const queued = await createOrQueue({
+        title,
+        content,
+        images: newPost.images,
+        tags: newPost.tags,
+        status: publishSettings.status,
+        publishAt: fromDateTimeLocal(publishSettings.publishAt),
       });
-      setNewPost({ title: '', content: '', image: null });
-      setImagePreview(null);
+      await discardDraft();
+      if (queued) {
+        setStatusNotice(
+          "The server can't be reached right now. Your post has been saved and will be sent when you're back online."
+        );
+      } else if (publishSettings.status === 'scheduled') {
+        // Scheduled posts and drafts don't appear in the feed yet
+        const when = new Date(publishSettings.publishAt).toLocaleString('en-US', {
+          dateStyle: 'medium',
+          timeStyle: 'short',
+        });
+        setStatusNotice(`Your post is scheduled for ${when}. You can manage it from your profile.`);
+      } else if (publishSettings.status === 'draft') {
+        setStatusNotice('Your post was saved as a draft. Publish it from your profile when it is ready.');
+      }
+      setNewPost(EMPTY_POST);
+      setPublishSettings(DEFAULT_PUBLISH_SETTINGS);
       setShowCreateForm(false);
-      setCurrentPage(1);
-      fetchPosts(1);
+      setDraftReady(false);
+      setDraftRestored(false);
+      if (!queued) {
+        reload();
+      }
     } catch (err) {
-      const message = err.message || 'Failed to create post';
-      setFormError(message);
-      if (message.includes('token') || message.includes('Unauthorized')) {
-        logout();
-        navigate('/login');
+      if (err.name === 'AbortError') {
+        setFormError('Upload cancelled. Your post has not been published; the draft is still saved.');
+      } else if (err instanceof NetworkError) {
+        setFormError(
+          'The connection dropped while saving. Your post may have been created; check your profile before trying again.'
+        );
+      } else {
+        setFormError(err);
       }
     } finally {
       setCreating(false);
@@ -185,7 +380,7 @@ const Posts = () => {
               </div>
             )}
             <button onClick={handleToggleForm} className="primary-button">
-              {showCreateForm ? 'Close' : 'New Post'}
+              {showCreateForm ? 'Close' : hasSavedDraft ? 'Continue Draft' : 'New Post'}
             </button>
             <div className="profile-dropdown-container">
               <button 
@@ -205,6 +400,13 @@ const Posts = () => {
                   >
                     View Profile
                   </Link>
+                  <Link 
+                    to="/bookmarks" 
+                    className="dropdown-item"
+                    onClick={() => setShowProfileDropdown(false)}
+                  >
+                    Bookmarks
+                  </Link>
                   <button 
                     onClick={handleLogout} 
                     className="dropdown-item logout-item"
@@ -238,7 +440,7 @@ const Posts = () => {
             </div>
           )}
           <button onClick={handleToggleForm} className="primary-button">
-            {showCreateForm ? 'Close' : 'New Post'}
+            {showCreateForm ? 'Close' : hasSavedDraft ? 'Continue Draft' : 'New Post'}
           </button>
           <div className="profile-dropdown-container">
             <button 
@@ -258,6 +460,13 @@ const Posts = () => {
                 >
                   View Profile
                 </Link>
+                <Link 
+                  to="/bookmarks" 
+                  className="dropdown-item"
+                  onClick={() => setShowProfileDropdown(false)}
+                >
+                  Bookmarks
+                </Link>
                 <button 
                   onClick={handleLogout} 
                   className="dropdown-item logout-item"
@@ -270,16 +479,37 @@ const Posts = () => {
         </div>
       </div>
 
-      {error && (
-        <div className={`error-banner ${error.includes('Cannot connect to server') ? 'connection-error' : ''}`}>
-          {error}
+      <ErrorMessage error={error} className="error-banner" />
+
+      {statusNotice && (
+        <div className="draft-notice status-notice" role="status">
+          {statusNotice}
+          <Link to="/profile" className="link-button">
+            Go to My Posts
+          </Link>
+          <button type="button" className="link-button" onClick={() => setStatusNotice('')}>
+            Dismiss
+          </button>
         </div>
       )}
 
       {showCreateForm && (
         <div className="create-post-card">
           <h3>Create a new post</h3>
-          {formError && <div className="error-banner compact">{formError}</div>}
+          {draftRestored && (
+            <div className="draft-notice">
+              Restored your unfinished draft.
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => setConfirmingDiscard(true)}
+                disabled={creating}
+              >
+                Discard draft
+              </button>
+            </div>
+          )}
+          <ErrorMessage error={formError} className="error-banner compact" />
           <form onSubmit={handleCreatePost} className="create-post-form">
             <div className="form-group">
               <label htmlFor="title">Title</label>
@@ -290,50 +520,60 @@ const Posts = () => {
                 onChange={(e) => setNewPost({ ...newPost, title: e.target.value })}
                 placeholder="Enter a descriptive title"
                 disabled={creating}
+                aria-invalid={Boolean(getFieldError(formError, 'title'))}
               />
+              <FieldError error={formError} field="title" />
             </div>
             <div className="form-group">
               <label htmlFor="content">Content</label>
-              <textarea
+              <MarkdownEditor
                 id="content"
-                rows={6}
+                rows={8}
                 value={newPost.content}
-                onChange={(e) => setNewPost({ ...newPost, content: e.target.value })}
-                placeholder="Share your thoughts..."
+                onChange={(content) => setNewPost({ ...newPost, content })}
+                placeholder="Share your thoughts... Markdown is supported."
                 disabled={creating}
-              ></textarea>
+              />
+              <FieldError error={formError} field="content" />
             </div>
             <div className="form-group">
-              <label htmlFor="image">Image (Optional)</label>
-              <input
-                id="image"
-                type="file"
-                accept="image/jpeg,image/jpg,image/png,image/gif,image/webp"
-                onChange={handleImageChange}
+              <label htmlFor="tags">Tags (Optional)</label>
+              <TagInput
+                id="tags"
+                value={newPost.tags}
+                onChange={(tags) => setNewPost({ ...newPost, tags })}
                 disabled={creating}
               />
-              <small className="file-hint">
-                JPEG, PNG, GIF, or WebP. Maximum 5MB.
-              </small>
-              {imagePreview && (
-                <div className="image-preview">
-                  <img src={imagePreview} alt="Preview" />
-                  <button
-                    type="button"
-                    className="remove-image-button"
-                    onClick={() => {
-                      setNewPost({ ...newPost, image: null });
-                      setImagePreview(null);
-                      document.getElementById('image').value = '';
-                    }}
-                    disabled={creating}
-                  >
-                    Remove Image
-                  </button>
-                </div>
-              )}
+              <FieldError error={formError} field="tags" />
+            </div>
+            <div className="form-group">
+              <PublishSettings
+                idPrefix="new-post"
+                status={publishSettings.status}
+                publishAt={publishSettings.publishAt}
+                onChange={setPublishSettings}
+                disabled={creating}
+              />
+              <FieldError error={formError} field="publishAt" />
             </div>
+            <div className="form-group">
+              <label htmlFor="images">Images (Optional)</label>
+              <ImageGalleryInput
+                id="images"
+                value={newPost.images}
+                onChange={(images) => setNewPost((prev) => ({ ...prev, images }))}
+                onError={setFormError}
+                disabled={creating}
+              />
+              <FieldError error={formError} field="images" />
+            </div>
+            <UploadProgress upload={upload} onCancel={cancelUpload} />
             <div className="form-actions">
+              {lastSavedAt && (
+                <span className="draft-status">
+                  Draft saved at {lastSavedAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                </span>
+              )}
               <button
                 type="button"
                 className="secondary-button"
@@ -343,7 +583,7 @@ const Posts = () => {
                 Cancel
               </button>
               <button type="submit" className="primary-button" disabled={creating}>
-                {creating ? 'Publishing...' : 'Publish Post'}
+                {creating ? 'Saving...' : SUBMIT_LABELS[publishSettings.status]}
               </button>
             </div>
           </form>
@@ -351,48 +591,169 @@ const Posts = () => {
       )}
 
       <div className="posts-content">
-        <h2>All Posts</h2>
+        <div className="posts-content-header">
+          <div className="feed-tabs" role="tablist" aria-label="Feed">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={feed === 'all'}
+              className={feed === 'all' ? 'active' : ''}
+              onClick={() => handleFeedChange('all')}
+            >
+              All Posts
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={feed === 'following'}
+              className={feed === 'following' ? 'active' : ''}
+              onClick={() => handleFeedChange('following')}
+            >
+              Following
+            </button>
+          </div>
+          <div className="posts-view-controls">
+            <label className="sort-control">
+              Sort by
+              <select value={sort} onChange={(e) => setSort(e.target.value)}>
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <ListModeToggle mode={listMode} onChange={setListMode} />
+          </div>
+        </div>
 
-        {posts.length === 0 && !loading ? (
+        <div className="posts-filters" role="search">
+          <input
+            type="search"
+            className="filter-search"
+            value={filterInputs.search}
+            onChange={(e) => handleFilterChange('search', e.target.value)}
+            placeholder="Search posts..."
+            aria-label="Search posts"
+          />
+          <input
+            type="text"
+            className="filter-author"
+            value={filterInputs.author}
+            onChange={(e) => handleFilterChange('author', e.target.value)}
+            placeholder="Author"
+            aria-label="Filter by author"
+          />
+          <label className="filter-date">
+            From
+            <input
+              type="date"
+              value={filterInputs.from}
+              max={filterInputs.to || undefined}
+              onChange={(e) => handleFilterChange('from', e.target.value)}
+            />
+          </label>
+          <label className="filter-date">
+            To
+            <input
+              type="date"
+              value={filterInputs.to}
+              min={filterInputs.from || undefined}
+              onChange={(e) => handleFilterChange('to', e.target.value)}
+            />
+          </label>
+          <label className="filter-checkbox">
+            <input
+              type="checkbox"
+              checked={filterInputs.hasImage}
+              onChange={(e) => handleFilterChange('hasImage', e.target.checked)}
+            />
+            Has image
+          </label>
+          {hasActiveFilters(filterInputs) && (
+            <button type="button" className="secondary-button" onClick={handleClearFilters}>
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {visiblePosts.length === 0 && !loading ? (
           <div className="empty-state">
-            <p>No posts available yet.</p>
+            <p>
+              {filtersActive
+                ? 'No posts match your filters.'
+                : feed === 'following'
+                  ? 'No posts from authors you follow yet. Follow authors to see their posts here.'
+                  : 'No posts available yet.'}
+            </p>
           </div>
         ) : (
           <>
             <div className="posts-grid">
-              {posts.map((post) => (
+              {visiblePosts.map((post) => (
                 <article key={post.id} className="post-card">
-                  {post.image_url && (
-                    <div className="post-image">
-                      <img 
-                        src={getImageUrl(post.image_url)} 
-                        alt={post.title}
-                        onError={(e) => {
-                          e.target.style.display = 'none';
-                        }}
-                      />
-                    </div>
-                  )}
+                  <PostCoverImage post={post} />
                   <div className="post-header">
-                    <h3 className="post-title">{post.title}</h3>
-                    <span className="post-author">by {post.author_name}</span>
+                    <h3 className="post-title">
+                      <Link to={`/posts/${post.id}`} className="post-title-link">
+                        {post.title}
+                      </Link>
+                    </h3>
+                    <span className="post-author">
+                      by{' '}
+                      <Link to={`/users/${encodeURIComponent(post.author_name)}`} className="post-author-link">
+                        {post.author_name}
+                      </Link>
+                      <FollowButton
+                        username={post.author_name}
+                        following={Boolean(post.following_author)}
+                        onChange={(following) => handleFollowChange(post.author_name, following)}
+                        compact
+                      />
+                    </span>
                   </div>
                   <div className="post-content">
-                    <p>{post.content}</p>
+                    <MarkdownExcerpt source={post.content} />
+                  </div>
+                  <TagList tags={getPostTags(post)} className="post-tags" />
+                  <div className="post-reactions">
+                    <ReactionBar post={post} onChange={handlePostChange} />
                   </div>
                   <div className="post-footer">
                     <span className="post-date">
                       {formatDate(post.created_at)}
                     </span>
+                    <div className="post-footer-links">
+                      <BookmarkButton post={post} onChange={handlePostChange} />
+                      {post.comment_count !== undefined && (
+                        <Link to={`/posts/${post.id}#comments`} className="post-comment-count">
+                          {post.comment_count} {Number(post.comment_count) === 1 ? 'comment' : 'comments'}
+                        </Link>
+                      )}
+                      <Link to={`/posts/${post.id}`} className="read-more-link">
+                        Read more
+                      </Link>
+                    </div>
                   </div>
                 </article>
               ))}
             </div>
 
-            {pagination && pagination.totalPages > 1 && (
+            {listMode === 'infinite' ? (
+              <div ref={sentinelRef} className="infinite-scroll-status">
+                {loadingMore ? (
+                  <>
+                    <div className="loading-spinner"></div>
+                    <span>Loading more posts...</span>
+                  </>
+                ) : pagination && !pagination.hasNextPage && posts.length > 0 ? (
+                  <span>You've reached the end ({pagination.totalPosts} posts)</span>
+                ) : null}
+              </div>
+            ) : pagination && pagination.totalPages > 1 && (
               <div className="pagination">
                 <button
-                  onClick={() => handlePageChange(currentPage - 1)}
+                  onClick={() => handlePageChange(pagination.currentPage - 1)}
                   disabled={!pagination.hasPreviousPage || loading}
                   className="pagination-button"
                 >
@@ -409,7 +770,7 @@ const Posts = () => {
                 </div>
 
                 <button
-                  onClick={() => handlePageChange(currentPage + 1)}
+                  onClick={() => handlePageChange(pagination.currentPage + 1)}
                   disabled={!pagination.hasNextPage || loading}
                   className="pagination-button"
                 >
@@ -420,6 +781,16 @@ const Posts = () => {
           </>
         )}
       </div>
+
+      <ConfirmDialog
+        open={confirmingDiscard}
+        title="Discard draft?"
+        message="This draft will be deleted. This cannot be undone."
+        confirmLabel="Discard"
+        danger
+        onConfirm={handleConfirmDiscardDraft}
+        onCancel={() => setConfirmingDiscard(false)}
+      />
     </div>
   );
 };
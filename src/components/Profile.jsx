@@ -1,18 +1,106 @@
-import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { userAPI, postsAPI, getImageUrl } from '../services/api';
+import {
+  NetworkError,
+  NotFoundError,
+  AuthError,
+  ForbiddenError,
+  ValidationError,
+  getFieldError,
+} from '../services/errors';
+import { draftsAPI, onDraftsChanged, editPostDraftKey, NEW_POST_DRAFT } from '../services/drafts';
+import { revisionsAPI } from '../services/revisions';
+import { outboxAPI } from '../services/outbox';
+import { useDraftAutosave } from '../hooks/useDraftAutosave';
+import { useUnsavedChangesWarning } from '../hooks/useUnsavedChangesWarning';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import { useListMode } from '../hooks/useListMode';
+import { useUpload } from '../hooks/useUpload';
+import { useQuery } from '../hooks/useQuery';
+import { useOutbox } from '../hooks/useOutbox';
+import { getPostTags, sameTags } from '../utils/tags';
+import { imageItemsFromPost, sameImages, validateImageFile, IMAGE_ACCEPT } from '../utils/images';
+import { processImage, AVATAR_DIMENSION, AVATAR_CROP_ASPECTS } from '../utils/imageProcessing';
+import {
+  POST_STATUSES,
+  DEFAULT_STATUS,
+  getPostStatus,
+  toDateTimeLocal,
+  fromDateTimeLocal,
+  validatePublishSettings,
+} from '../utils/postStatus';
+import ConfirmDialog from './ConfirmDialog';
+import { ErrorMessage, FieldError } from './ErrorMessage';
+import { MarkdownEditor, MarkdownExcerpt } from './Markdown';
+import ListModeToggle from './ListModeToggle';
+import LikedPosts from './LikedPosts';
+import { TagInput, TagList } from './Tags';
+import { PublishSettings, PostStatusBadge } from './PostStatus';
+import RevisionHistory from './RevisionHistory';
+import { ImageGalleryInput, PostCoverImage } from './ImageGallery';
+import ImageCropper from './ImageCropper';
+import UploadProgress from './UploadProgress';
+import { OutboxList, SyncStatusBadge } from './Outbox';
 import './Profile.css';
 
+const EMPTY_EDIT_POST = { title: '', content: '', tags: [], images: [] };
+
+const fetchStats = async () => {
+  try {
+    return await userAPI.getUserStats();
+  } catch (err) {
+    // Don't show error for stats, just log it
+    console.error('Failed to fetch stats:', err);
+    // Without the stats endpoint the counts come from the profile
+    if (err instanceof NotFoundError) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+// The error to show for a failed profile fetch, if any
+const getProfileError = (err, hasUser) => {
+  // An expired session ends through AuthContext, which redirects to login. A
+  // 403 (ForbiddenError) is not a session problem and is shown below.
+  if (!err || err instanceof AuthError) {
+    return null;
+  }
+  // Check if it's a 404 - endpoint might not exist
+  if (err instanceof NotFoundError) {
+    return hasUser
+      ? 'Note: Profile endpoint not available. Showing basic profile information.'
+      : 'Profile endpoint not found (404). The backend server might not have the /api/user/profile endpoint. Please check your backend API routes.';
+  }
+  return err;
+};
+
 const Profile = () => {
-  const { user, updateUser, refreshProfile, logout } = useAuth();
+  const { user, updateUser, refreshProfile } = useAuth();
   const navigate = useNavigate();
 
-  // Profile state
-  const [profile, setProfile] = useState(null);
-  const [stats, setStats] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
+  // Profile state, shared through the query cache with AuthContext
+  const {
+    data: profileData,
+    error: profileError,
+    loading,
+    setData: setProfile,
+  } = useQuery('profile', userAPI.getProfile);
+  const { data: stats, setData: setStats } = useQuery('user-stats', fetchStats);
+  // If the profile endpoint doesn't exist, use user data from context as fallback
+  const profile =
+    profileData ??
+    (profileError instanceof NotFoundError && user
+      ? {
+          ...user,
+          bio: user.bio || null,
+          profile_picture_url: user.profile_picture_url || null,
+          post_count: user.post_count || 0,
+        }
+      : null);
+  const error = getProfileError(profileError, Boolean(user));
 
   // Edit mode state
   const [isEditing, setIsEditing] = useState(false);
@@ -37,128 +125,138 @@ const Profile = () => {
   // Profile picture state
   const [profilePictureFile, setProfilePictureFile] = useState(null);
   const [profilePicturePreview, setProfilePicturePreview] = useState(null);
+  const [pictureToCrop, setPictureToCrop] = useState(null);
+  const [processingPicture, setProcessingPicture] = useState(false);
   const [uploadingPicture, setUploadingPicture] = useState(false);
+  const {
+    upload: pictureUpload,
+    run: runPictureUpload,
+    cancel: cancelPictureUpload,
+  } = useUpload();
   const [pictureError, setPictureError] = useState('');
 
   // User posts state
-  const [userPosts, setUserPosts] = useState([]);
-  const [postsPagination, setPostsPagination] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [loadingPosts, setLoadingPosts] = useState(false);
+  const [postsTab, setPostsTab] = useState('mine');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [listMode, setListMode] = useListMode(user?.id);
+  const {
+    items: userPosts,
+    setItems: setUserPosts,
+    pagination: postsPagination,
+    page: currentPage,
+    loading: loadingPosts,
+    loadingMore: loadingMorePosts,
+    error: postsError,
+    goToPage,
+    refresh: refreshUserPosts,
+    sentinelRef,
+  } = usePaginatedList({
+    key: `user-posts?status=${statusFilter}`,
+    mode: listMode,
+    fetchPage: async (page) => {
+      try {
+        const data = await userAPI.getUserPosts(page, 10, statusFilter === 'all' ? undefined : statusFilter);
+        // Also filter here in case the backend ignores the status parameter
+        const items = (data.posts || []).filter(
+          (post) => statusFilter === 'all' || getPostStatus(post) === statusFilter
+        );
+        return { items, pagination: data.pagination };
+      } catch (err) {
+        // If endpoint doesn't exist, show empty state
+        if (err instanceof NotFoundError) {
+          return { items: [], pagination: null };
+        }
+        throw err;
+      }
+    },
+  });
 
   // Edit post state
   const [editingPostId, setEditingPostId] = useState(null);
-  const [editPost, setEditPost] = useState({ title: '', content: '', image: null });
-  const [editImagePreview, setEditImagePreview] = useState(null);
+  const [editPost, setEditPost] = useState(EMPTY_EDIT_POST);
   const [updating, setUpdating] = useState(false);
+  const { upload: postUpload, run: runPostUpload, cancel: cancelPostUpload } = useUpload();
   const [postEditError, setPostEditError] = useState('');
+  const [editDraftReady, setEditDraftReady] = useState(false);
+  const [editDraftRestored, setEditDraftRestored] = useState(false);
+  const [editPublishSettings, setEditPublishSettings] = useState({ status: DEFAULT_STATUS, publishAt: '' });
+
+  // Drafts state
+  const [drafts, setDrafts] = useState([]);
+
+  // Posts created or edited offline, waiting to be sent
+  const outbox = useOutbox(user?.id);
+  // Latest queued edit of each post, shown on its card
+  const pendingEdits = new Map(
+    outbox.filter((entry) => entry.type === 'update').map((entry) => [entry.postId, entry.status])
+  );
 
+  // Show queued edits once they have been synced
+  const pendingEditCountRef = useRef(pendingEdits.size);
   useEffect(() => {
-    fetchProfile();
-    fetchStats();
-    fetchUserPosts(1);
-  }, []);
-
-  const fetchProfile = async () => {
-    setLoading(true);
-    setError('');
-    try {
-      const data = await userAPI.getProfile();
-      setProfile(data);
-      setEditForm({
-        username: data.username || '',
-        email: data.email || '',
-        bio: data.bio || '',
-      });
-      updateUser(data);
-    } catch (err) {
-      let errorMessage = err.message || 'Failed to fetch profile';
-      
-      // Check if it's a 404 - endpoint might not exist
-      if (err.status === 404 || errorMessage.includes('404')) {
-        // If endpoint doesn't exist, try to use user data from context as fallback
-        if (user) {
-          setProfile({
-            ...user,
-            bio: user.bio || null,
-            profile_picture_url: user.profile_picture_url || null,
-            post_count: user.post_count || 0,
-          });
-          setEditForm({
-            username: user.username || '',
-            email: user.email || '',
-            bio: user.bio || '',
-          });
-          setError('Note: Profile endpoint not available. Showing basic profile information.');
-        } else {
-          errorMessage = `Profile endpoint not found (404). The backend server might not have the /api/user/profile endpoint. Please check your backend API routes.`;
-          setError(errorMessage);
-        }
-      } else if (err.status === 401) {
-        errorMessage = 'Unauthorized. Please log in again.';
-        setError(errorMessage);
-        logout();
-        navigate('/login');
-        return;
-      } else {
-        setError(errorMessage);
-      }
-      
-      if (errorMessage.includes('token') || errorMessage.includes('Unauthorized')) {
-        logout();
-        navigate('/login');
-      }
-    } finally {
-      setLoading(false);
+    if (pendingEdits.size < pendingEditCountRef.current) {
+      refreshUserPosts();
     }
-  };
+    pendingEditCountRef.current = pendingEdits.size;
+  }, [pendingEdits.size, refreshUserPosts]);
 
-  const fetchStats = async () => {
-    try {
-      const data = await userAPI.getUserStats();
-      setStats(data);
-    } catch (err) {
-      // Don't show error for stats, just log it
-      console.error('Failed to fetch stats:', err);
-      // Set default stats if endpoint doesn't exist
-      if (err.status === 404) {
-        // Use post_count from profile if available, otherwise 0
-        setStats({ 
-          total_posts: profile?.post_count ?? 0, 
-          latest_post_date: null 
-        });
-      }
-    }
-  };
+  // Publish now state
+  const [publishingId, setPublishingId] = useState(null);
+  const [historyPost, setHistoryPost] = useState(null);
 
-  const fetchUserPosts = async (page) => {
-    setLoadingPosts(true);
-    try {
-      const data = await userAPI.getUserPosts(page, 10);
-      setUserPosts(data.posts || []);
-      setPostsPagination(data.pagination);
-    } catch (err) {
-      console.error('Failed to fetch user posts:', err);
-      // If endpoint doesn't exist, show empty state
-      if (err.status === 404) {
-        setUserPosts([]);
-        setPostsPagination(null);
-      }
-    } finally {
-      setLoadingPosts(false);
-    }
-  };
+  // Delete post state
+  const [selectedPostIds, setSelectedPostIds] = useState([]);
+  const [pendingDeleteIds, setPendingDeleteIds] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState('');
+  // Other destructive actions waiting to be confirmed: { title, message, confirmLabel, onConfirm }
+  const [pendingConfirm, setPendingConfirm] = useState(null);
+  const [publishNowError, setPublishNowError] = useState('');
+  const [draftError, setDraftError] = useState('');
+
+  const editingOriginal = userPosts.find((post) => post.id === editingPostId);
+  const editDirty = Boolean(
+    editingOriginal &&
+      (editPost.title !== editingOriginal.title ||
+        editPost.content !== editingOriginal.content ||
+        !sameTags(editPost.tags, getPostTags(editingOriginal)) ||
+        !sameImages(editPost.images, editingOriginal))
+  );
+  const editPublishChanged = Boolean(
+    editingOriginal &&
+      (editPublishSettings.status !== getPostStatus(editingOriginal) ||
+        (editPublishSettings.status === 'scheduled' &&
+          editPublishSettings.publishAt !== toDateTimeLocal(editingOriginal.publish_at)))
+  );
+  const { lastSavedAt: editLastSavedAt, discardDraft: discardEditDraft } = useDraftAutosave({
+    userId: user?.id,
+    draftKey: editingPostId ? editPostDraftKey(editingPostId) : null,
+    draft: { ...editPost, postId: editingPostId },
+    dirty: editDirty,
+    enabled: editingPostId !== null && editDraftReady,
+  });
+
+  useUnsavedChangesWarning(
+    (editDirty || editPublishChanged) && !updating,
+    'You have unsaved edits. They have been saved as a draft. Leave this page?'
+  );
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    const loadDrafts = () => setDrafts(draftsAPI.list(user.id));
+    loadDrafts();
+    return onDraftsChanged(loadDrafts);
+  }, [user?.id]);
 
   const handleEditToggle = () => {
-    if (isEditing) {
-      // Reset form to original values
-      setEditForm({
-        username: profile?.username || '',
-        email: profile?.email || '',
-        bio: profile?.bio || '',
-      });
-      setEditError('');
-    }
+    // Start from (or, on cancel, go back to) the saved values
+    setEditForm({
+      username: profile?.username || '',
+      email: profile?.email || '',
+      bio: profile?.bio || '',
+    });
+    setEditError('');
     setIsEditing(!isEditing);
   };
 
@@ -191,7 +289,7 @@ const Profile = () => {
       setIsEditing(false);
       await refreshProfile();
     } catch (err) {
-      setEditError(err.message || 'Failed to update profile');
+      setEditError(err);
     } finally {
       setSaving(false);
     }
@@ -202,12 +300,14 @@ const Profile = () => {
     setPasswordError('');
 
     if (passwordForm.newPassword.length < 6) {
-      setPasswordError('New password must be at least 6 characters long');
+      const message = 'New password must be at least 6 characters long';
+      setPasswordError(new ValidationError(message, { fields: { newPassword: message } }));
       return;
     }
 
     if (passwordForm.newPassword !== passwordForm.confirmPassword) {
-      setPasswordError('Passwords do not match');
+      const message = 'Passwords do not match';
+      setPasswordError(new ValidationError(message, { fields: { confirmPassword: message } }));
       return;
     }
 
@@ -226,7 +326,7 @@ const Profile = () => {
       setShowPasswordForm(false);
       alert('Password changed successfully');
     } catch (err) {
-      setPasswordError(err.message || 'Failed to change password');
+      setPasswordError(err);
     } finally {
       setChangingPassword(false);
     }
@@ -234,37 +334,43 @@ const Profile = () => {
 
   const handleProfilePictureChange = (e) => {
     const file = e.target.files[0];
+    // Clear the input so picking the same file again re-opens the crop tool
+    e.target.value = '';
     if (!file) {
-      setProfilePictureFile(null);
-      setProfilePicturePreview(null);
-      return;
-    }
-
-    // Validate file type
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-    if (!allowedTypes.includes(file.type)) {
-      setPictureError('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.');
-      e.target.value = '';
       return;
     }
 
-    // Validate file size (5MB)
-    const maxSize = 5 * 1024 * 1024;
-    if (file.size > maxSize) {
-      setPictureError('File too large. Maximum size is 5MB.');
-      e.target.value = '';
+    const fileError = validateImageFile(file);
+    if (fileError) {
+      setPictureError(fileError);
       return;
     }
 
     setPictureError('');
-    setProfilePictureFile(file);
-
-    // Create preview
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      setProfilePicturePreview(reader.result);
-    };
-    reader.readAsDataURL(file);
+    // Avatars are always cropped to a square first
+    setPictureToCrop(file);
+  };
+
+  const handleProfilePictureCrop = async (crop) => {
+    const source = pictureToCrop;
+    setPictureToCrop(null);
+    setProcessingPicture(true);
+
+    try {
+      const file = await processImage(source, { crop, maxDimension: AVATAR_DIMENSION });
+      setProfilePictureFile(file);
+
+      // Create preview
+      const reader = new FileReader();
+      reader.onloadend = () => {
+        setProfilePicturePreview(reader.result);
+      };
+      reader.readAsDataURL(file);
+    } catch (err) {
+      setPictureError(err.message || 'Failed to process image');
+    } finally {
+      setProcessingPicture(false);
+    }
   };
 
   const handleProfilePictureUpload = async () => {
@@ -276,26 +382,24 @@ const Profile = () => {
     setPictureError('');
 
     try {
-      const data = await userAPI.uploadProfilePicture(profilePictureFile);
+      const data = await runPictureUpload((uploadOptions) =>
+        userAPI.uploadProfilePicture(profilePictureFile, uploadOptions)
+      );
       setProfile(data.user);
       updateUser(data.user);
       setProfilePictureFile(null);
       setProfilePicturePreview(null);
-      const fileInput = document.getElementById('profile-picture-input');
-      if (fileInput) fileInput.value = '';
       await refreshProfile();
     } catch (err) {
-      setPictureError(err.message || 'Failed to upload profile picture');
+      if (err.name !== 'AbortError') {
+        setPictureError(err.message || 'Failed to upload profile picture');
+      }
     } finally {
       setUploadingPicture(false);
     }
   };
 
-  const handleRemoveProfilePicture = async () => {
-    if (!confirm('Are you sure you want to remove your profile picture?')) {
-      return;
-    }
-
+  const removeProfilePicture = async () => {
     setUploadingPicture(true);
     setPictureError('');
 
@@ -311,23 +415,49 @@ const Profile = () => {
     }
   };
 
+  const handleRemoveProfilePicture = () => {
+    setPendingConfirm({
+      title: 'Remove profile picture?',
+      message: 'Your profile picture will be removed. You can upload a new one at any time.',
+      confirmLabel: 'Remove',
+      onConfirm: removeProfilePicture,
+    });
+  };
+
   const handlePageChange = (newPage) => {
     if (newPage >= 1 && newPage <= postsPagination?.totalPages) {
-      setCurrentPage(newPage);
-      fetchUserPosts(newPage);
+      setSelectedPostIds([]);
+      goToPage(newPage);
       window.scrollTo({ top: 0, behavior: 'smooth' });
     }
   };
 
-  const handleStartEdit = (post) => {
+  const handleStartEdit = async (post) => {
     setEditingPostId(post.id);
+    setEditDraftReady(false);
+    setEditDraftRestored(false);
     setEditPost({
       title: post.title,
       content: post.content,
-      image: null,
+      tags: getPostTags(post),
+      images: imageItemsFromPost(post),
     });
-    setEditImagePreview(null);
+    setEditPublishSettings({ status: getPostStatus(post), publishAt: toDateTimeLocal(post.publish_at) });
     setPostEditError('');
+
+    // Pick up where the user left off if there is an autosaved draft
+    const draft = user?.id ? await draftsAPI.get(user.id, editPostDraftKey(post.id)) : null;
+    if (draft) {
+      setEditPost({
+        title: draft.title,
+        content: draft.content,
+        tags: draft.tags || getPostTags(post),
+        images: draft.images || imageItemsFromPost(post),
+      });
+      setEditDraftRestored(true);
+    }
+    setEditDraftReady(true);
+
     // Scroll to the edit form
     setTimeout(() => {
       document.getElementById(`edit-form-${post.id}`)?.scrollIntoView({ 
@@ -338,45 +468,101 @@ const Profile = () => {
   };
 
   const handleCancelEdit = () => {
+    // Pending changes are written to the draft as the form closes
     setEditingPostId(null);
-    setEditPost({ title: '', content: '', image: null });
-    setEditImagePreview(null);
+    setEditDraftReady(false);
+    setEditDraftRestored(false);
+    setEditPost(EMPTY_EDIT_POST);
     setPostEditError('');
   };
 
-  const handleEditImageChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) {
-      setEditPost({ ...editPost, image: null });
-      setEditImagePreview(null);
+  const handleDiscardEditDraft = (post) => {
+    setPendingConfirm({
+      title: 'Discard edits?',
+      message: 'Your unsaved edits to this post will be discarded.',
+      confirmLabel: 'Discard',
+      onConfirm: async () => {
+        await discardEditDraft();
+        setEditPost({
+          title: post.title,
+          content: post.content,
+          tags: getPostTags(post),
+          images: imageItemsFromPost(post),
+        });
+        setEditDraftRestored(false);
+      },
+    });
+  };
+
+  const handleContinueDraft = async (draft) => {
+    setDraftError('');
+    if (draft.key === NEW_POST_DRAFT) {
+      navigate('/posts', { state: { openDraft: true } });
       return;
     }
 
-    // Validate file type
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-    if (!allowedTypes.includes(file.type)) {
-      setPostEditError('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.');
-      e.target.value = '';
-      return;
+    let post = userPosts.find((p) => p.id === draft.postId);
+    if (!post) {
+      // The post is on another page of "My Posts"; load it into this one
+      try {
+        const data = await postsAPI.getPostById(draft.postId);
+        post = data.post || data;
+        setUserPosts((prev) => [post, ...prev]);
+      } catch (err) {
+        if (err instanceof NotFoundError) {
+          setDraftError('The post for this draft no longer exists. You can discard the draft.');
+        } else {
+          setDraftError(err.message || 'Failed to load the post for this draft');
+        }
+        return;
+      }
     }
+    handleStartEdit(post);
+  };
 
-    // Validate file size (5MB = 5 * 1024 * 1024 bytes)
-    const maxSize = 5 * 1024 * 1024;
-    if (file.size > maxSize) {
-      setPostEditError('File too large. Maximum size is 5MB.');
-      e.target.value = '';
-      return;
+  const handleDiscardDraft = (draft) => {
+    setPendingConfirm({
+      title: 'Discard draft?',
+      message: 'This draft will be deleted. This cannot be undone.',
+      confirmLabel: 'Discard',
+      onConfirm: async () => {
+        if (draft.postId && draft.postId === editingPostId) {
+          handleCancelEdit();
+        }
+        await draftsAPI.remove(user.id, draft.key);
+        setDraftError('');
+      },
+    });
+  };
+
+  // Without a connection the edit goes to the outbox and is sent on reconnect.
+  // An edit that may already have reached the server is reported instead of
+  // queued, so it isn't applied twice. Resolves to true if it was queued.
+  const updateOrQueue = async (post, updates) => {
+    if (navigator.onLine) {
+      try {
+        await runPostUpload((uploadOptions) => postsAPI.updatePost(post.id, updates, uploadOptions));
+        return false;
+      } catch (err) {
+        if (!(err instanceof NetworkError) || err.bodySent !== false) throw err;
+      }
     }
+    await outboxAPI.add(user.id, {
+      type: 'update',
+      postId: post.id,
+      title: updates.title ?? post.title,
+      payload: updates,
+    });
+    return true;
+  };
 
-    setPostEditError('');
-    setEditPost({ ...editPost, image: file });
-
-    // Create preview
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      setEditImagePreview(reader.result);
-    };
-    reader.readAsDataURL(file);
+  const handleDiscardOutboxEntry = (entry) => {
+    setPendingConfirm({
+      title: 'Discard change?',
+      message: 'This change has not been sent and cannot be recovered.',
+      confirmLabel: 'Discard',
+      onConfirm: () => outboxAPI.remove(entry.id),
+    });
   };
 
   const handleUpdatePost = async (postId, e) => {
@@ -394,38 +580,175 @@ const Profile = () => {
       if (editPost.content !== originalPost.content) {
         updates.content = editPost.content;
       }
-      if (editPost.image) {
-        updates.image = editPost.image;
+      if (!sameTags(editPost.tags, getPostTags(originalPost))) {
+        updates.tags = editPost.tags;
+      }
+      if (!sameImages(editPost.images, originalPost)) {
+        updates.images = editPost.images;
+      }
+      if (editPublishChanged) {
+        const publishError = validatePublishSettings(editPublishSettings);
+        if (publishError) {
+          setPostEditError(publishError);
+          setUpdating(false);
+          return;
+        }
+        updates.status = editPublishSettings.status;
+        if (editPublishSettings.status === 'scheduled') {
+          updates.publishAt = fromDateTimeLocal(editPublishSettings.publishAt);
+        }
       }
 
-      if (Object.keys(updates).length === 0 && !editPost.image) {
+      if (Object.keys(updates).length === 0) {
         setPostEditError('No changes to save');
         setUpdating(false);
         return;
       }
 
-      await postsAPI.updatePost(postId, updates);
+      const queued = await updateOrQueue(originalPost, updates);
+      // Keep the version that was replaced so it can be compared and restored later
+      if (updates.title !== undefined || updates.content !== undefined) {
+        revisionsAPI.record(user?.id, originalPost);
+      }
+      await discardEditDraft();
       setEditingPostId(null);
-      setEditPost({ title: '', content: '', image: null });
-      setEditImagePreview(null);
+      setEditDraftReady(false);
+      setEditDraftRestored(false);
+      setEditPost(EMPTY_EDIT_POST);
       // Refresh posts to show updated data
-      fetchUserPosts(currentPage);
+      if (!queued) {
+        refreshUserPosts();
+      }
     } catch (err) {
-      const message = err.message || 'Failed to update post';
-      setPostEditError(message);
-      if (message.includes('token') || message.includes('Unauthorized') || message.includes('403')) {
-        if (message.includes('403')) {
-          setPostEditError('You can only edit your own posts');
-        } else {
-          logout();
-          navigate('/login');
-        }
+      if (err.name === 'AbortError') {
+        setPostEditError('Upload cancelled. Your changes have not been saved; the draft is still kept.');
+      } else if (err instanceof ForbiddenError) {
+        setPostEditError('You can only edit your own posts');
+      } else if (err instanceof NetworkError) {
+        setPostEditError(
+          'The connection dropped while saving. Your changes may have been saved; reload your posts before trying again.'
+        );
+      } else {
+        setPostEditError(err);
       }
     } finally {
       setUpdating(false);
     }
   };
 
+  const handleToggleSelectPost = (postId) => {
+    setSelectedPostIds((prev) =>
+      prev.includes(postId) ? prev.filter((id) => id !== postId) : [...prev, postId]
+    );
+  };
+
+  const handleToggleSelectAll = () => {
+    if (selectedPostIds.length === userPosts.length) {
+      setSelectedPostIds([]);
+    } else {
+      setSelectedPostIds(userPosts.map((post) => post.id));
+    }
+  };
+
+  const handlePublishNow = async (post) => {
+    setPublishingId(post.id);
+    setPublishNowError('');
+    try {
+      const data = await postsAPI.publishNow(post.id);
+      const published = data?.post || { status: 'published', publish_at: new Date().toISOString() };
+      setUserPosts((prev) =>
+        statusFilter === 'all'
+          ? prev.map((p) => (p.id === post.id ? { ...p, ...published } : p))
+          : prev.filter((p) => p.id !== post.id)
+      );
+    } catch (err) {
+      setPublishNowError(err.message || 'Failed to publish post');
+    } finally {
+      setPublishingId(null);
+    }
+  };
+
+  const handleRequestDelete = (postIds) => {
+    if (postIds.length === 0) {
+      return;
+    }
+    setDeleteError('');
+    setPendingDeleteIds(postIds);
+  };
+
+  const handleConfirmDelete = async () => {
+    const idsToDelete = pendingDeleteIds;
+    const previousPosts = userPosts;
+    const previousProfile = profile;
+    const previousStats = stats;
+
+    setDeleting(true);
+    setDeleteError('');
+
+    // Optimistically remove the posts and adjust the counts
+    const removedCount = idsToDelete.length;
+    setUserPosts((prev) => prev.filter((post) => !idsToDelete.includes(post.id)));
+    setSelectedPostIds((prev) => prev.filter((id) => !idsToDelete.includes(id)));
+    if (profile?.post_count != null) {
+      setProfile({ ...profile, post_count: Math.max(0, profile.post_count - removedCount) });
+    }
+    if (stats?.total_posts != null) {
+      setStats({ ...stats, total_posts: Math.max(0, stats.total_posts - removedCount) });
+    }
+    if (idsToDelete.includes(editingPostId)) {
+      handleCancelEdit();
+    }
+    setPendingDeleteIds(null);
+
+    const results = await Promise.allSettled(
+      idsToDelete.map((id) => postsAPI.deletePost(id))
+    );
+    const failedIds = idsToDelete.filter((id, index) => results[index].status === 'rejected');
+
+    // Drafts and local history of deleted posts are no longer needed
+    const deletedIds = idsToDelete.filter((id) => !failedIds.includes(id));
+    deletedIds.forEach((id) => draftsAPI.remove(user.id, editPostDraftKey(id)));
+    revisionsAPI.removeForPosts(user.id, deletedIds);
+
+    if (failedIds.length > 0) {
+      // Roll back the posts that could not be deleted
+      setUserPosts(previousPosts.filter((post) => !deletedIds.includes(post.id)));
+      if (previousProfile?.post_count != null) {
+        setProfile({
+          ...previousProfile,
+          post_count: Math.max(0, previousProfile.post_count - deletedIds.length),
+        });
+      }
+      if (previousStats?.total_posts != null) {
+        setStats({
+          ...previousStats,
+          total_posts: Math.max(0, previousStats.total_posts - deletedIds.length),
+        });
+      }
+
+      const firstError = results.find((result) => result.status === 'rejected').reason;
+      let message = firstError?.message || 'Failed to delete post';
+      if (firstError instanceof ForbiddenError) {
+        message = 'You can only delete your own posts';
+      }
+      setDeleteError(
+        failedIds.length === idsToDelete.length
+          ? message
+          : `${failedIds.length} of ${idsToDelete.length} posts could not be deleted: ${message}`
+      );
+    }
+
+    setDeleting(false);
+
+    // Refresh pagination; step back a page if this one is now empty
+    const remainingOnPage = previousPosts.length - (idsToDelete.length - failedIds.length);
+    if (listMode === 'paged' && remainingOnPage === 0 && currentPage > 1) {
+      goToPage(currentPage - 1);
+    } else {
+      refreshUserPosts();
+    }
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -451,7 +774,7 @@ const Profile = () => {
   if (error && !profile) {
     return (
       <div className="profile-container">
-        <div className="error-banner">{error}</div>
+        <ErrorMessage error={error} className="error-banner" />
       </div>
     );
   }
@@ -465,7 +788,7 @@ const Profile = () => {
         </button>
       </div>
 
-      {error && <div className="error-banner">{error}</div>}
+      <ErrorMessage error={error} className="error-banner" />
 
       <div className="profile-content">
         {/* Profile Info Section */}
@@ -492,12 +815,13 @@ const Profile = () => {
               <input
                 id="profile-picture-input"
                 type="file"
-                accept="image/jpeg,image/jpg,image/png,image/gif,image/webp"
+                accept={IMAGE_ACCEPT}
                 onChange={handleProfilePictureChange}
+                disabled={processingPicture || uploadingPicture}
                 style={{ display: 'none' }}
               />
               <label htmlFor="profile-picture-input" className="file-input-label">
-                {profilePicturePreview ? 'Change Image' : 'Upload Picture'}
+                {processingPicture ? 'Processing...' : profilePicturePreview ? 'Change Image' : 'Upload Picture'}
               </label>
               {profilePicturePreview && (
                 <>
@@ -512,8 +836,6 @@ const Profile = () => {
                     onClick={() => {
                       setProfilePictureFile(null);
                       setProfilePicturePreview(null);
-                      const fileInput = document.getElementById('profile-picture-input');
-                      if (fileInput) fileInput.value = '';
                     }}
                     className="secondary-button small"
                     disabled={uploadingPicture}
@@ -532,7 +854,8 @@ const Profile = () => {
                 </button>
               )}
             </div>
-            {pictureError && <div className="error-message small">{pictureError}</div>}
+            <UploadProgress upload={pictureUpload} onCancel={cancelPictureUpload} />
+            <ErrorMessage error={pictureError} className="error-message small" />
           </div>
 
           <div className="profile-info-section">
@@ -558,6 +881,14 @@ const Profile = () => {
                   <label>Total Posts</label>
                   <p>{profile?.post_count ?? stats?.total_posts ?? 0}</p>
                 </div>
+                <div className="profile-field">
+                  <label>Followers</label>
+                  <p>{stats?.follower_count ?? profile?.follower_count ?? 0}</p>
+                </div>
+                <div className="profile-field">
+                  <label>Following</label>
+                  <p>{stats?.following_count ?? profile?.following_count ?? 0}</p>
+                </div>
                 <div className="profile-actions">
                   <button onClick={handleEditToggle} className="primary-button">
                     Edit Profile
@@ -581,7 +912,9 @@ const Profile = () => {
                     onChange={(e) => setEditForm({ ...editForm, username: e.target.value })}
                     required
                     disabled={saving}
+                    aria-invalid={Boolean(getFieldError(editError, 'username'))}
                   />
+                  <FieldError error={editError} field="username" />
                 </div>
                 <div className="form-group">
                   <label htmlFor="email">Email</label>
@@ -592,7 +925,9 @@ const Profile = () => {
                     onChange={(e) => setEditForm({ ...editForm, email: e.target.value })}
                     required
                     disabled={saving}
+                    aria-invalid={Boolean(getFieldError(editError, 'email'))}
                   />
+                  <FieldError error={editError} field="email" />
                 </div>
                 <div className="form-group">
                   <label htmlFor="bio">Bio</label>
@@ -603,9 +938,11 @@ const Profile = () => {
                     onChange={(e) => setEditForm({ ...editForm, bio: e.target.value })}
                     placeholder="Tell us about yourself..."
                     disabled={saving}
+                    aria-invalid={Boolean(getFieldError(editError, 'bio'))}
                   />
+                  <FieldError error={editError} field="bio" />
                 </div>
-                {editError && <div className="error-message">{editError}</div>}
+                <ErrorMessage error={editError} />
                 <div className="form-actions">
                   <button
                     type="button"
@@ -640,7 +977,9 @@ const Profile = () => {
                   }
                   required
                   disabled={changingPassword}
+                  aria-invalid={Boolean(getFieldError(passwordError, 'currentPassword'))}
                 />
+                <FieldError error={passwordError} field="currentPassword" />
               </div>
               <div className="form-group">
                 <label htmlFor="newPassword">New Password</label>
@@ -654,7 +993,9 @@ const Profile = () => {
                   required
                   minLength={6}
                   disabled={changingPassword}
+                  aria-invalid={Boolean(getFieldError(passwordError, 'newPassword'))}
                 />
+                <FieldError error={passwordError} field="newPassword" />
                 <small>Minimum 6 characters</small>
               </div>
               <div className="form-group">
@@ -668,9 +1009,11 @@ const Profile = () => {
                   }
                   required
                   disabled={changingPassword}
+                  aria-invalid={Boolean(getFieldError(passwordError, 'confirmPassword'))}
                 />
+                <FieldError error={passwordError} field="confirmPassword" />
               </div>
-              {passwordError && <div className="error-message">{passwordError}</div>}
+              <ErrorMessage error={passwordError} />
               <div className="form-actions">
                 <button
                   type="button"
@@ -696,159 +1039,415 @@ const Profile = () => {
           </div>
         )}
 
+        {/* Drafts Section */}
+        {drafts.length > 0 && (
+          <div className="profile-section">
+            <h3>Drafts ({drafts.length})</h3>
+            {draftError && <div className="error-message">{draftError}</div>}
+            <ul className="drafts-list">
+              {drafts.map((draft) => (
+                <li key={draft.key} className="draft-item">
+                  <div className="draft-info">
+                    <span className="draft-kind">
+                      {draft.key === NEW_POST_DRAFT ? 'New post' : 'Edit'}
+                    </span>
+                    <span className="draft-title">{draft.title.trim() || '(Untitled)'}</span>
+                    <MarkdownExcerpt inline className="draft-excerpt" source={draft.content} />
+                    <span className="post-date">
+                      Saved {formatDate(draft.updatedAt)}
+                      {draft.imageCount > 0 &&
+                        ` · ${draft.imageCount} ${draft.imageCount === 1 ? 'image' : 'images'}`}
+                    </span>
+                  </div>
+                  <div className="draft-actions">
+                    <button
+                      onClick={() => handleContinueDraft(draft)}
+                      className="primary-button small"
+                    >
+                      Continue
+                    </button>
+                    <button
+                      onClick={() => handleDiscardDraft(draft)}
+                      className="secondary-button small"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Offline Changes Section */}
+        {outbox.length > 0 && (
+          <div className="profile-section">
+            <h3>Waiting to Sync ({outbox.length})</h3>
+            <OutboxList
+              entries={outbox}
+              onRetry={(entry) => outboxAPI.retry(entry).catch((err) => console.error('Failed to sync:', err))}
+              onDiscard={handleDiscardOutboxEntry}
+              formatDate={formatDate}
+            />
+          </div>
+        )}
+
         {/* User Posts Section */}
         <div className="profile-section">
-          <h3>My Posts ({profile?.post_count ?? stats?.total_posts ?? 0})</h3>
-          {loadingPosts ? (
-            <div className="loading-container">
-              <div className="loading-spinner"></div>
-              <p>Loading posts...</p>
-            </div>
-          ) : userPosts.length === 0 ? (
-            <div className="empty-state">
-              <p>You haven't created any posts yet.</p>
+          <div className="section-header">
+            <div className="profile-tabs" role="tablist" aria-label="Posts">
+              <button
+                type="button"
+                role="tab"
+                aria-selected={postsTab === 'mine'}
+                className={postsTab === 'mine' ? 'active' : ''}
+                onClick={() => setPostsTab('mine')}
+              >
+                My Posts ({profile?.post_count ?? stats?.total_posts ?? 0})
+              </button>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={postsTab === 'liked'}
+                className={postsTab === 'liked' ? 'active' : ''}
+                onClick={() => setPostsTab('liked')}
+              >
+                Liked posts
+              </button>
             </div>
+            <ListModeToggle mode={listMode} onChange={setListMode} />
+          </div>
+          {postsTab === 'liked' ? (
+            <LikedPosts listMode={listMode} />
           ) : (
             <>
-              <div className="user-posts-grid">
-                {userPosts.map((post) => (
-                  <div key={post.id}>
-                    {editingPostId === post.id ? (
-                      <div className="edit-post-card" id={`edit-form-${post.id}`}>
-                        <h4>Edit Post</h4>
-                        {postEditError && <div className="error-message small">{postEditError}</div>}
-                        <form onSubmit={(e) => handleUpdatePost(post.id, e)} className="edit-post-form">
-                          <div className="form-group">
-                            <label htmlFor={`edit-title-${post.id}`}>Title</label>
-                            <input
-                              id={`edit-title-${post.id}`}
-                              type="text"
-                              value={editPost.title}
-                              onChange={(e) => setEditPost({ ...editPost, title: e.target.value })}
-                              placeholder="Enter a descriptive title"
-                              required
-                              disabled={updating}
-                            />
-                          </div>
-                          <div className="form-group">
-                            <label htmlFor={`edit-content-${post.id}`}>Content</label>
-                            <textarea
-                              id={`edit-content-${post.id}`}
-                              rows={6}
-                              value={editPost.content}
-                              onChange={(e) => setEditPost({ ...editPost, content: e.target.value })}
-                              placeholder="Share your thoughts..."
-                              required
-                              disabled={updating}
-                            ></textarea>
-                          </div>
-                          <div className="form-group">
-                            <label htmlFor={`edit-image-${post.id}`}>Image (Optional)</label>
-                            {post.image_url && !editImagePreview && (
-                              <div className="current-image-preview">
-                                <p>Current image:</p>
-                                <img src={getImageUrl(post.image_url)} alt="Current" />
+              <div className="status-filter" role="group" aria-label="Filter by status">
+                {[{ value: 'all', label: 'All' }, ...POST_STATUSES].map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    className={statusFilter === option.value ? 'active' : ''}
+                    aria-pressed={statusFilter === option.value}
+                    onClick={() => {
+                      setStatusFilter(option.value);
+                      setSelectedPostIds([]);
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <ErrorMessage error={postsError} />
+              {loadingPosts && (listMode === 'paged' || userPosts.length === 0) ? (
+                <div className="loading-container">
+                  <div className="loading-spinner"></div>
+                  <p>Loading posts...</p>
+                </div>
+              ) : userPosts.length === 0 ? (
+                <div className="empty-state">
+                  <p>
+                    {statusFilter === 'all'
+                      ? "You haven't created any posts yet."
+                      : `You have no ${statusFilter} posts.`}
+                  </p>
+                </div>
+              ) : (
+                <>
+                  {deleteError && <div className="error-message">{deleteError}</div>}
+                  {publishNowError && <div className="error-message">{publishNowError}</div>}
+                  <div className="bulk-actions-bar">
+                    <label className="bulk-select-all">
+                      <input
+                        type="checkbox"
+                        checked={selectedPostIds.length === userPosts.length}
+                        onChange={handleToggleSelectAll}
+                        disabled={deleting}
+                      />
+                      Select all on this page
+                    </label>
+                    {selectedPostIds.length > 0 && (
+                      <div className="bulk-actions">
+                        <span className="bulk-selected-count">
+                          {selectedPostIds.length} selected
+                        </span>
+                        <button
+                          onClick={() => setSelectedPostIds([])}
+                          className="secondary-button small"
+                          disabled={deleting}
+                        >
+                          Clear
+                        </button>
+                        <button
+                          onClick={() => handleRequestDelete(selectedPostIds)}
+                          className="danger-button small"
+                          disabled={deleting}
+                        >
+                          Delete Selected
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  <div className="user-posts-grid">
+                    {userPosts.map((post) => (
+                      <div key={post.id}>
+                        {editingPostId === post.id ? (
+                          <div className="edit-post-card" id={`edit-form-${post.id}`}>
+                            <h4>Edit Post</h4>
+                            {editDraftRestored && (
+                              <div className="draft-notice">
+                                Restored your unsaved edits.
+                                <button
+                                  type="button"
+                                  className="link-button"
+                                  onClick={() => handleDiscardEditDraft(post)}
+                                  disabled={updating}
+                                >
+                                  Discard edits
+                                </button>
                               </div>
                             )}
-                            <input
-                              id={`edit-image-${post.id}`}
-                              type="file"
-                              accept="image/jpeg,image/jpg,image/png,image/gif,image/webp"
-                              onChange={handleEditImageChange}
-                              disabled={updating}
-                            />
-                            <small className="file-hint">
-                              JPEG, PNG, GIF, or WebP. Maximum 5MB. Leave empty to keep current image.
-                            </small>
-                            {editImagePreview && (
-                              <div className="image-preview">
-                                <img src={editImagePreview} alt="Preview" />
+                            <ErrorMessage error={postEditError} className="error-message small" />
+                            <form onSubmit={(e) => handleUpdatePost(post.id, e)} className="edit-post-form">
+                              <div className="form-group">
+                                <label htmlFor={`edit-title-${post.id}`}>Title</label>
+                                <input
+                                  id={`edit-title-${post.id}`}
+                                  type="text"
+                                  value={editPost.title}
+                                  onChange={(e) => setEditPost({ ...editPost, title: e.target.value })}
+                                  placeholder="Enter a descriptive title"
+                                  required
+                                  disabled={updating}
+                                  aria-invalid={Boolean(getFieldError(postEditError, 'title'))}
+                                />
+                                <FieldError error={postEditError} field="title" />
+                              </div>
+                              <div className="form-group">
+                                <label htmlFor={`edit-content-${post.id}`}>Content</label>
+                                <MarkdownEditor
+                                  id={`edit-content-${post.id}`}
+                                  rows={8}
+                                  value={editPost.content}
+                                  onChange={(content) => setEditPost({ ...editPost, content })}
+                                  placeholder="Share your thoughts... Markdown is supported."
+                                  required
+                                  disabled={updating}
+                                />
+                                <FieldError error={postEditError} field="content" />
+                              </div>
+                              <div className="form-group">
+                                <label htmlFor={`edit-tags-${post.id}`}>Tags (Optional)</label>
+                                <TagInput
+                                  id={`edit-tags-${post.id}`}
+                                  value={editPost.tags}
+                                  onChange={(tags) => setEditPost({ ...editPost, tags })}
+                                  disabled={updating}
+                                />
+                                <FieldError error={postEditError} field="tags" />
+                              </div>
+                              <div className="form-group">
+                                <PublishSettings
+                                  idPrefix={`edit-${post.id}`}
+                                  status={editPublishSettings.status}
+                                  publishAt={editPublishSettings.publishAt}
+                                  onChange={setEditPublishSettings}
+                                  disabled={updating}
+                                />
+                                <FieldError error={postEditError} field="publishAt" />
+                              </div>
+                              <div className="form-group">
+                                <label htmlFor={`edit-images-${post.id}`}>Images (Optional)</label>
+                                <ImageGalleryInput
+                                  id={`edit-images-${post.id}`}
+                                  value={editPost.images}
+                                  onChange={(images) => setEditPost((prev) => ({ ...prev, images }))}
+                                  onError={setPostEditError}
+                                  disabled={updating}
+                                />
+                                <FieldError error={postEditError} field="images" />
+                              </div>
+                              <UploadProgress upload={postUpload} onCancel={cancelPostUpload} />
+                              <div className="form-actions">
+                                {editLastSavedAt && (
+                                  <span className="draft-status">
+                                    Draft saved at {editLastSavedAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                                  </span>
+                                )}
                                 <button
                                   type="button"
-                                  className="remove-image-button"
-                                  onClick={() => {
-                                    setEditPost({ ...editPost, image: null });
-                                    setEditImagePreview(null);
-                                    document.getElementById(`edit-image-${post.id}`).value = '';
-                                  }}
+                                  className="secondary-button"
+                                  onClick={handleCancelEdit}
                                   disabled={updating}
                                 >
-                                  Remove New Image
+                                  Cancel
+                                </button>
+                                <button type="submit" className="primary-button" disabled={updating}>
+                                  {updating ? 'Updating...' : 'Update Post'}
                                 </button>
                               </div>
-                            )}
-                          </div>
-                          <div className="form-actions">
-                            <button
-                              type="button"
-                              className="secondary-button"
-                              onClick={handleCancelEdit}
-                              disabled={updating}
-                            >
-                              Cancel
-                            </button>
-                            <button type="submit" className="primary-button" disabled={updating}>
-                              {updating ? 'Updating...' : 'Update Post'}
-                            </button>
-                          </div>
-                        </form>
-                      </div>
-                    ) : (
-                      <article className="user-post-card">
-                        {post.image_url && (
-                          <div className="post-image">
-                            <img src={getImageUrl(post.image_url)} alt={post.title} />
+                            </form>
                           </div>
-                        )}
-                        <div className="post-header">
-                          <h4 className="post-title">{post.title}</h4>
-                        </div>
-                        <div className="post-content">
-                          <p>{post.content}</p>
-                        </div>
-                        <div className="post-footer">
-                          <span className="post-date">{formatDate(post.created_at)}</span>
-                          <button
-                            onClick={() => handleStartEdit(post)}
-                            className="edit-post-button"
-                            title="Edit post"
+                        ) : (
+                          <article
+                            className={`user-post-card ${selectedPostIds.includes(post.id) ? 'selected' : ''}`}
                           >
-                            Edit
-                          </button>
-                        </div>
-                      </article>
-                    )}
+                            <label className="post-select" title="Select post">
+                              <input
+                                type="checkbox"
+                                checked={selectedPostIds.includes(post.id)}
+                                onChange={() => handleToggleSelectPost(post.id)}
+                                disabled={deleting}
+                                aria-label={`Select "${post.title}"`}
+                              />
+                            </label>
+                            <PostCoverImage post={post} />
+                            <div className="post-header">
+                              <PostStatusBadge post={post} />
+                              {pendingEdits.has(post.id) && <SyncStatusBadge status={pendingEdits.get(post.id)} />}
+                              <h4 className="post-title">
+                                <Link to={`/posts/${post.id}`} className="post-title-link">
+                                  {post.title}
+                                </Link>
+                              </h4>
+                            </div>
+                            <div className="post-content">
+                              <MarkdownExcerpt source={post.content} />
+                            </div>
+                            <TagList tags={getPostTags(post)} className="post-tags" />
+                            <div className="post-footer">
+                              <span className="post-date">{formatDate(post.created_at)}</span>
+                              <div className="post-card-actions">
+                                {getPostStatus(post) !== 'published' && (
+                                  <button
+                                    onClick={() => handlePublishNow(post)}
+                                    className="publish-now-button"
+                                    title="Publish this post now"
+                                    disabled={publishingId === post.id || deleting}
+                                  >
+                                    {publishingId === post.id ? 'Publishing...' : 'Publish now'}
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => setHistoryPost(post)}
+                                  className="history-post-button"
+                                  title="View earlier versions of this post"
+                                >
+                                  History
+                                </button>
+                                <button
+                                  onClick={() => handleStartEdit(post)}
+                                  className="edit-post-button"
+                                  title="Edit post"
+                                >
+                                  Edit
+                                </button>
+                                <button
+                                  onClick={() => handleRequestDelete([post.id])}
+                                  className="delete-post-button"
+                                  title="Delete post"
+                                  disabled={deleting}
+                                >
+                                  Delete
+                                </button>
+                              </div>
+                            </div>
+                          </article>
+                        )}
+                      </div>
+                    ))}
                   </div>
-                ))}
-              </div>
 
-              {postsPagination && postsPagination.totalPages > 1 && (
-                <div className="pagination">
-                  <button
-                    onClick={() => handlePageChange(currentPage - 1)}
-                    disabled={!postsPagination.hasPreviousPage || loadingPosts}
-                    className="pagination-button"
-                  >
-                    Previous
-                  </button>
-                  <div className="pagination-info">
-                    <span>
-                      Page {postsPagination.currentPage} of {postsPagination.totalPages}
-                    </span>
-                  </div>
-                  <button
-                    onClick={() => handlePageChange(currentPage + 1)}
-                    disabled={!postsPagination.hasNextPage || loadingPosts}
-                    className="pagination-button"
-                  >
-                    Next
-                  </button>
-                </div>
+                  {listMode === 'infinite' ? (
+                    <div ref={sentinelRef} className="infinite-scroll-status">
+                      {loadingMorePosts && (
+                        <>
+                          <div className="loading-spinner"></div>
+                          <span>Loading more posts...</span>
+                        </>
+                      )}
+                    </div>
+                  ) : postsPagination && postsPagination.totalPages > 1 && (
+                    <div className="pagination">
+                      <button
+                        onClick={() => handlePageChange(currentPage - 1)}
+                        disabled={!postsPagination.hasPreviousPage || loadingPosts}
+                        className="pagination-button"
+                      >
+                        Previous
+                      </button>
+                      <div className="pagination-info">
+                        <span>
+                          Page {postsPagination.currentPage} of {postsPagination.totalPages}
+                        </span>
+                      </div>
+                      <button
+                        onClick={() => handlePageChange(currentPage + 1)}
+                        disabled={!postsPagination.hasNextPage || loadingPosts}
+                        className="pagination-button"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  )}
+                </>
               )}
             </>
           )}
         </div>
       </div>
+
+      <ConfirmDialog
+        open={pendingDeleteIds !== null}
+        title={pendingDeleteIds?.length > 1 ? `Delete ${pendingDeleteIds.length} posts?` : 'Delete post?'}
+        message={
+          pendingDeleteIds?.length > 1
+            ? 'These posts will be permanently deleted. This cannot be undone.'
+            : 'This post will be permanently deleted. This cannot be undone.'
+        }
+        confirmLabel="Delete"
+        danger
+        busy={deleting}
+        onConfirm={handleConfirmDelete}
+        onCancel={() => setPendingDeleteIds(null)}
+      />
+
+      <ConfirmDialog
+        open={pendingConfirm !== null}
+        title={pendingConfirm?.title}
+        message={pendingConfirm?.message}
+        confirmLabel={pendingConfirm?.confirmLabel}
+        danger
+        onConfirm={() => {
+          const action = pendingConfirm.onConfirm;
+          setPendingConfirm(null);
+          action();
+        }}
+        onCancel={() => setPendingConfirm(null)}
+      />
+
+      {pictureToCrop && (
+        <ImageCropper
+          file={pictureToCrop}
+          aspects={AVATAR_CROP_ASPECTS}
+          title="Crop your profile picture"
+          confirmLabel="Use Photo"
+          onConfirm={handleProfilePictureCrop}
+          onCancel={() => setPictureToCrop(null)}
+        />
+      )}
+
+      {historyPost && (
+        <RevisionHistory
+          post={historyPost}
+          onClose={() => setHistoryPost(null)}
+          onRestored={(restored) => {
+            setUserPosts((prev) =>
+              prev.map((post) => (post.id === restored.id ? { ...post, ...restored } : post))
+            );
+            refreshUserPosts();
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -1,9 +1,11 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { withRedirect } from '../utils/redirect';
 import './ProtectedRoute.css';
 
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -14,7 +16,13 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" replace />;
+  if (!isAuthenticated) {
+    // Remember the full location so login can send the user back to it
+    const from = `${location.pathname}${location.search}${location.hash}`;
+    return <Navigate to={withRedirect('/login', from)} replace />;
+  }
+
+  return children;
 };
 
 export default ProtectedRoute;
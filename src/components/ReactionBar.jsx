@@ -0,0 +1,138 @@
+import { useState, useEffect, useRef } from 'react';
+import { postsAPI } from '../services/api';
+import { REACTIONS, getReactionState, toggleReaction } from '../utils/reactions';
+import './ReactionBar.css';
+
+/**
+ * Like button, emoji picker and per-reaction counts for a post.
+ * Changes are applied optimistically through onChange and rolled back if the
+ * request fails, so the parent owns the post data.
+ * @param {Object} props
+ * @param {Object} props.post
+ * @param {(postId: number, state: {reactions: Object, my_reaction: string|null}) => void} props.onChange
+ */
+const ReactionBar = ({ post, onChange }) => {
+  const [pending, setPending] = useState(false);
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [error, setError] = useState('');
+  const pickerRef = useRef(null);
+
+  const { reactions, my_reaction: myReaction } = getReactionState(post);
+  const current = REACTIONS.find((reaction) => reaction.type === myReaction);
+
+  // Close the picker on Escape or a click anywhere else
+  useEffect(() => {
+    if (!pickerOpen) return;
+
+    const handleMouseDown = (event) => {
+      if (!pickerRef.current?.contains(event.target)) {
+        setPickerOpen(false);
+      }
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        setPickerOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [pickerOpen]);
+
+  const handleReact = async (type) => {
+    if (pending) return;
+
+    const previous = { reactions, my_reaction: myReaction };
+    const next = toggleReaction(previous, type);
+    setPickerOpen(false);
+    setError('');
+    setPending(true);
+    onChange(post.id, next);
+
+    try {
+      const data = next.my_reaction
+        ? await postsAPI.react(post.id, next.my_reaction)
+        : await postsAPI.removeReaction(post.id);
+      // Prefer the server's counts, which include other readers' reactions
+      if (data?.reactions) {
+        onChange(post.id, getReactionState(data));
+      }
+    } catch (err) {
+      onChange(post.id, previous);
+      setError(err.message || 'Could not save your reaction');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <div className="reaction-bar">
+      <button
+        type="button"
+        className={`reaction-main ${current ? 'active' : ''}`}
+        onClick={() => handleReact(myReaction || 'like')}
+        aria-pressed={Boolean(current)}
+        disabled={pending}
+        title={current ? `Remove your ${current.label} reaction` : 'Like this post'}
+      >
+        <span aria-hidden="true">{current?.emoji || '👍'}</span> {current?.label || 'Like'}
+      </button>
+
+      <div className="reaction-picker-wrapper" ref={pickerRef}>
+        <button
+          type="button"
+          className="reaction-picker-toggle"
+          onClick={() => setPickerOpen((prev) => !prev)}
+          aria-haspopup="true"
+          aria-expanded={pickerOpen}
+          aria-label="Choose a reaction"
+          disabled={pending}
+        >
+          +
+        </button>
+        {pickerOpen && (
+          <div className="reaction-picker" role="menu">
+            {REACTIONS.map((reaction) => (
+              <button
+                key={reaction.type}
+                type="button"
+                role="menuitemradio"
+                aria-checked={myReaction === reaction.type}
+                className={myReaction === reaction.type ? 'active' : ''}
+                onClick={() => handleReact(reaction.type)}
+                title={reaction.label}
+                aria-label={reaction.label}
+              >
+                {reaction.emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ul className="reaction-counts" aria-label="Reactions">
+        {REACTIONS.filter((reaction) => reactions[reaction.type] > 0).map((reaction) => (
+          <li
+            key={reaction.type}
+            className={myReaction === reaction.type ? 'mine' : ''}
+            title={`${reaction.label}: ${reactions[reaction.type]}`}
+          >
+            <span aria-hidden="true">{reaction.emoji}</span> {reactions[reaction.type]}
+          </li>
+        ))}
+      </ul>
+
+      {error && (
+        <span className="reaction-error" role="alert">
+          {error}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ReactionBar;
@@ -0,0 +1,279 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { postsAPI } from '../services/api';
+import { revisionsAPI } from '../services/revisions';
+import { diffLines, toSideBySide, diffStats } from '../utils/diff';
+import ConfirmDialog from './ConfirmDialog';
+import './RevisionHistory.css';
+
+const CURRENT = 'current';
+
+const formatTimestamp = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+const versionLabel = (version) =>
+  version.id === CURRENT
+    ? `Current version (${formatTimestamp(version.created_at)})`
+    : formatTimestamp(version.created_at);
+
+const DiffLine = ({ op, side }) => {
+  if (!op) {
+    return <td className="diff-empty" colSpan={2}></td>;
+  }
+  const line = side === 'right' ? op.newLine : op.oldLine;
+  return (
+    <>
+      <td className="diff-line-number">{line}</td>
+      <td className={`diff-text ${op.type}`}>{op.value || ' '}</td>
+    </>
+  );
+};
+
+/**
+ * Revision history for one of the current user's posts: compare any two
+ * versions as an inline or side-by-side diff and restore an earlier one
+ * @param {Object} props
+ * @param {Object} props.post - The post as it is now
+ * @param {() => void} props.onClose
+ * @param {(post: Object) => void} props.onRestored - Called with the updated post
+ */
+const RevisionHistory = ({ post, onClose, onRestored }) => {
+  const { user } = useAuth();
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(CURRENT);
+  const [view, setView] = useState('inline');
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchRevisions = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await revisionsAPI.list(user?.id, post.id);
+        if (cancelled) return;
+        setRevisions(data);
+        setFromId(data[0]?.id ?? null);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load revision history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, post.id]);
+
+  // Close on Escape, unless a restore is in progress or being confirmed
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !restoring && !pendingRestore) {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, restoring, pendingRestore]);
+
+  const versions = useMemo(
+    () => [
+      { id: CURRENT, title: post.title, content: post.content, created_at: post.updated_at || post.created_at },
+      ...revisions,
+    ],
+    [post, revisions]
+  );
+
+  const from = versions.find((version) => version.id === fromId);
+  const to = versions.find((version) => version.id === toId);
+  const ops = useMemo(() => (from && to ? diffLines(from.content, to.content) : []), [from, to]);
+  const stats = diffStats(ops);
+
+  const handleConfirmRestore = async () => {
+    const version = pendingRestore;
+    setRestoring(true);
+    setError('');
+
+    try {
+      const data = await postsAPI.updatePost(post.id, { title: version.title, content: version.content });
+      revisionsAPI.record(user?.id, post);
+      setPendingRestore(null);
+      onRestored(data?.post || { ...post, title: version.title, content: version.content });
+      onClose();
+    } catch (err) {
+      setPendingRestore(null);
+      setError(err.message || 'Failed to restore this version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const renderVersionSelect = (id, value, onChange, label) => (
+    <label className="revision-select" htmlFor={id}>
+      {label}
+      <select id={id} value={value ?? ''} onChange={(e) => onChange(e.target.value)}>
+        {versions.map((version) => (
+          <option key={version.id} value={version.id}>
+            {versionLabel(version)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  // <select> values are strings; keep ids as the versions store them
+  const selectVersion = (setter) => (value) => {
+    const version = versions.find((v) => String(v.id) === value);
+    setter(version ? version.id : value);
+  };
+
+  return (
+    <div
+      className="confirm-dialog-overlay"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget && !restoring && !pendingRestore) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="revision-history"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="revision-history-title"
+      >
+        <div className="revision-history-header">
+          <h3 id="revision-history-title">History of &ldquo;{post.title}&rdquo;</h3>
+          <button type="button" className="secondary-button small" onClick={onClose} disabled={restoring}>
+            Close
+          </button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading history...</p>
+          </div>
+        ) : revisions.length === 0 ? (
+          !error && (
+            <p className="revision-empty">
+              This post hasn&apos;t been edited yet. Earlier versions will appear here after you make changes.
+            </p>
+          )
+        ) : (
+          <>
+            <div className="revision-controls">
+              {renderVersionSelect('revision-from', fromId, selectVersion(setFromId), 'Compare')}
+              {renderVersionSelect('revision-to', toId, selectVersion(setToId), 'with')}
+              <div className="revision-view-toggle" role="group" aria-label="Diff layout">
+                <button
+                  type="button"
+                  className={view === 'inline' ? 'active' : ''}
+                  aria-pressed={view === 'inline'}
+                  onClick={() => setView('inline')}
+                >
+                  Inline
+                </button>
+                <button
+                  type="button"
+                  className={view === 'split' ? 'active' : ''}
+                  aria-pressed={view === 'split'}
+                  onClick={() => setView('split')}
+                >
+                  Side by side
+                </button>
+              </div>
+            </div>
+
+            <div className="revision-summary">
+              <span className="diff-stat added">+{stats.added}</span>
+              <span className="diff-stat removed">-{stats.removed}</span>
+              {from && to && from.title !== to.title && (
+                <span className="revision-title-change">
+                  Title: <del>{from.title}</del> → <ins>{to.title}</ins>
+                </span>
+              )}
+              {from && to && from.id === to.id && <span>Choose two different versions to compare.</span>}
+            </div>
+
+            <div className="revision-diff">
+              {view === 'inline' ? (
+                <table className="diff-table inline">
+                  <tbody>
+                    {ops.map((op, index) => (
+                      <tr key={index}>
+                        <td className="diff-line-number">{op.oldLine}</td>
+                        <td className="diff-line-number">{op.newLine}</td>
+                        <td className={`diff-text ${op.type}`}>
+                          <span className="diff-marker" aria-hidden="true">
+                            {op.type === 'added' ? '+' : op.type === 'removed' ? '-' : ' '}
+                          </span>
+                          {op.value || ' '}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <table className="diff-table split">
+                  <tbody>
+                    {toSideBySide(ops).map((row, index) => (
+                      <tr key={index}>
+                        <DiffLine op={row.left} side="left" />
+                        <DiffLine op={row.right} side="right" />
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="revision-actions">
+              {[from, to]
+                .filter((version, index, list) => version && version.id !== CURRENT && list.indexOf(version) === index)
+                .map((version) => (
+                  <button
+                    key={version.id}
+                    type="button"
+                    className="primary-button small"
+                    onClick={() => setPendingRestore(version)}
+                    disabled={restoring}
+                  >
+                    Restore version from {formatTimestamp(version.created_at)}
+                  </button>
+                ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      <ConfirmDialog
+        open={Boolean(pendingRestore)}
+        title="Restore this version?"
+        message="The post's title and content will be replaced with this version. The current version stays in the history."
+        confirmLabel="Restore"
+        busy={restoring}
+        onConfirm={handleConfirmRestore}
+        onCancel={() => setPendingRestore(null)}
+      />
+    </div>
+  );
+};
+
+export default RevisionHistory;
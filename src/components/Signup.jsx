@@ -1,24 +1,30 @@
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { ValidationError, getFieldError } from '../services/errors';
+import { getSafeRedirectPath, withRedirect } from '../utils/redirect';
+import { ErrorMessage, FieldError } from './ErrorMessage';
 import './Signup.css';
 
 const Signup = () => {
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
+  const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
-  const { signup } = useAuth();
+  const { signup, consumeRedirectPath } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const redirectTo = getSafeRedirectPath(searchParams.get('redirect'), null);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setError('');
+    setError(null);
 
     // Client-side validation
     if (password.length < 6) {
-      setError('Password must be at least 6 characters long');
+      const message = 'Password must be at least 6 characters long';
+      setError(new ValidationError(message, { fields: { password: message } }));
       return;
     }
 
@@ -27,7 +33,8 @@ const Signup = () => {
     const result = await signup(username, email, password);
 
     if (result.success) {
-      navigate('/posts');
+      const storedPath = consumeRedirectPath('/posts');
+      navigate(redirectTo || storedPath, { replace: true });
     } else {
       setError(result.error || 'Signup failed. Please try again.');
     }
@@ -41,11 +48,7 @@ const Signup = () => {
         <h2>Create Account</h2>
         <p className="auth-subtitle">Join WordNest and start blogging</p>
 
-        {error && (
-          <div className={`error-message ${error.includes('Cannot connect to server') ? 'connection-error' : ''}`}>
-            {error}
-          </div>
-        )}
+        <ErrorMessage error={error} />
 
         <form onSubmit={handleSubmit} className="auth-form">
           <div className="form-group">
@@ -58,7 +61,9 @@ const Signup = () => {
               required
               placeholder="Choose a username"
               disabled={loading}
+              aria-invalid={Boolean(getFieldError(error, 'username'))}
             />
+            <FieldError error={error} field="username" />
           </div>
 
           <div className="form-group">
@@ -71,7 +76,9 @@ const Signup = () => {
               required
               placeholder="Enter your email"
               disabled={loading}
+              aria-invalid={Boolean(getFieldError(error, 'email'))}
             />
+            <FieldError error={error} field="email" />
           </div>
 
           <div className="form-group">
@@ -85,7 +92,9 @@ const Signup = () => {
               placeholder="Password (min 6 characters)"
               disabled={loading}
               minLength={6}
+              aria-invalid={Boolean(getFieldError(error, 'password'))}
             />
+            <FieldError error={error} field="password" />
           </div>
 
           <button type="submit" className="auth-button" disabled={loading}>
@@ -94,7 +103,7 @@ const Signup = () => {
         </form>
 
         <p className="auth-footer">
-          Already have an account? <Link to="/login">Sign in</Link>
+          Already have an account? <Link to={withRedirect('/login', redirectTo)}>Sign in</Link>
         </p>
       </div>
     </div>
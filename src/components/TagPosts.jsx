@@ -0,0 +1,168 @@
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { postsAPI } from '../services/api';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import { useListMode } from '../hooks/useListMode';
+import { normalizeTag, getPostTags } from '../utils/tags';
+import ListModeToggle from './ListModeToggle';
+import { TagList } from './Tags';
+import { PostCoverImage } from './ImageGallery';
+import { ErrorMessage } from './ErrorMessage';
+import { MarkdownExcerpt } from './Markdown';
+import './TagPosts.css';
+
+const TagPosts = () => {
+  const { tag: rawTag } = useParams();
+  const tag = normalizeTag(rawTag);
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [listMode, setListMode] = useListMode(user?.id);
+  const {
+    items: posts,
+    pagination,
+    loading,
+    loadingMore,
+    error,
+    goToPage,
+    reload,
+    sentinelRef,
+  } = usePaginatedList({
+    key: `tag-posts:${tag}`,
+    mode: listMode,
+    fetchPage: async (page) => {
+      const data = await postsAPI.getPosts(page, 10, { tag });
+      // Backends that ignore the tag filter return every post; drop those whose tags don't match
+      const items = (data.posts || []).filter((post) => !post.tags || getPostTags(post).includes(tag));
+      return { items, pagination: data.pagination };
+    },
+  });
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination?.totalPages) {
+      goToPage(newPage);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <div className="tag-posts-container">
+      <div className="post-detail-header">
+        <Link to="/posts" className="logo-link">
+          <h1>WordNest</h1>
+        </Link>
+        <button onClick={() => navigate('/posts')} className="back-button">
+          Back to Posts
+        </button>
+      </div>
+
+      <div className="tag-posts-content">
+        <div className="posts-content-header">
+          <h2>
+            <span className="tag-posts-hash">#</span>
+            {tag}
+            {pagination?.totalPosts > 0 && <span className="tag-posts-count"> ({pagination.totalPosts})</span>}
+          </h2>
+          <ListModeToggle mode={listMode} onChange={setListMode} />
+        </div>
+
+        {loading && (listMode === 'paged' || posts.length === 0) ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading posts...</p>
+          </div>
+        ) : error ? (
+          <div className="post-detail-state">
+            <ErrorMessage error={error} className="error-banner" />
+            <button onClick={reload} className="primary-button">
+              Try Again
+            </button>
+          </div>
+        ) : posts.length === 0 ? (
+          <div className="empty-state">
+            <p>No posts are tagged #{tag} yet.</p>
+          </div>
+        ) : (
+          <>
+            <div className="posts-grid">
+              {posts.map((post) => (
+                <article key={post.id} className="post-card">
+                  <PostCoverImage post={post} />
+                  <div className="post-header">
+                    <h3 className="post-title">
+                      <Link to={`/posts/${post.id}`} className="post-title-link">
+                        {post.title}
+                      </Link>
+                    </h3>
+                    {post.author_name && (
+                      <span className="post-author">
+                        by{' '}
+                        <Link to={`/users/${encodeURIComponent(post.author_name)}`} className="post-author-link">
+                          {post.author_name}
+                        </Link>
+                      </span>
+                    )}
+                  </div>
+                  <div className="post-content">
+                    <MarkdownExcerpt source={post.content} />
+                  </div>
+                  <TagList tags={getPostTags(post)} className="post-tags" />
+                  <div className="post-footer">
+                    <span className="post-date">{formatDate(post.created_at)}</span>
+                    <Link to={`/posts/${post.id}`} className="read-more-link">
+                      Read more
+                    </Link>
+                  </div>
+                </article>
+              ))}
+            </div>
+
+            {listMode === 'infinite' ? (
+              <div ref={sentinelRef} className="infinite-scroll-status">
+                {loadingMore && (
+                  <>
+                    <div className="loading-spinner"></div>
+                    <span>Loading more posts...</span>
+                  </>
+                )}
+              </div>
+            ) : pagination && pagination.totalPages > 1 && (
+              <div className="pagination">
+                <button
+                  onClick={() => handlePageChange(pagination.currentPage - 1)}
+                  disabled={!pagination.hasPreviousPage || loading}
+                  className="pagination-button"
+                >
+                  Previous
+                </button>
+                <div className="pagination-info">
+                  <span>
+                    Page {pagination.currentPage} of {pagination.totalPages}
+                  </span>
+                </div>
+                <button
+                  onClick={() => handlePageChange(pagination.currentPage + 1)}
+                  disabled={!pagination.hasNextPage || loading}
+                  className="pagination-button"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagPosts;
@@ -0,0 +1,223 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { postsAPI } from '../services/api';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { normalizeTag, MAX_TAGS } from '../utils/tags';
+import './Tags.css';
+
+/**
+ * Tag chips linking to each tag's browse page
+ * @param {Object} props
+ * @param {string[]} props.tags
+ */
+export const TagList = ({ tags, className = '' }) => {
+  if (!tags?.length) {
+    return null;
+  }
+
+  return (
+    <ul className={`tag-list ${className}`.trim()} aria-label="Tags">
+      {tags.map((tag) => (
+        <li key={tag}>
+          <Link to={`/tags/${encodeURIComponent(tag)}`} className="tag-chip">
+            #{tag}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Tag input with autocomplete from existing tags. Enter, comma or Tab adds
+ * the typed tag; Backspace in an empty input removes the last one.
+ * @param {Object} props
+ * @param {string[]} props.value - Current tags
+ * @param {(tags: string[]) => void} props.onChange
+ */
+export const TagInput = ({ id, value, onChange, disabled = false }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const inputRef = useRef(null);
+
+  const query = normalizeTag(input);
+  const debouncedQuery = useDebouncedValue(query, 250);
+  const atLimit = value.length >= MAX_TAGS;
+  const listId = `${id}-suggestions`;
+
+  useEffect(() => {
+    if (!open || atLimit) return;
+
+    let cancelled = false;
+    postsAPI
+      .getTags(debouncedQuery)
+      .then((data) => {
+        if (cancelled) return;
+        setSuggestions((data.tags || []).map((tag) => (typeof tag === 'string' ? tag : tag.name)));
+        setActiveIndex(-1);
+      })
+      .catch(() => {
+        // Suggestions are optional; tags can still be typed in full
+        if (!cancelled) setSuggestions([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery, open, atLimit]);
+
+  const visibleSuggestions = suggestions.filter((tag) => tag.startsWith(query) && !value.includes(tag));
+  const showSuggestions = open && !atLimit && visibleSuggestions.length > 0;
+
+  const addTags = (rawTags) => {
+    const next = [...value];
+    rawTags.forEach((raw) => {
+      const tag = normalizeTag(raw);
+      if (tag && !next.includes(tag) && next.length < MAX_TAGS) {
+        next.push(tag);
+      }
+    });
+    if (next.length !== value.length) {
+      onChange(next);
+    }
+    setInput('');
+    setActiveIndex(-1);
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter((existing) => existing !== tag));
+  };
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    // Typing or pasting a comma completes every tag before it
+    if (text.includes(',')) {
+      const parts = text.split(',');
+      addTags(parts.slice(0, -1));
+      setInput(parts[parts.length - 1]);
+    } else {
+      setInput(text);
+    }
+    setOpen(true);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'Enter':
+      case 'Tab': {
+        const choice = showSuggestions && activeIndex >= 0 ? visibleSuggestions[activeIndex] : input;
+        if (normalizeTag(choice)) {
+          e.preventDefault();
+          addTags([choice]);
+        } else if (e.key === 'Enter') {
+          // Don't submit the form from the tag field
+          e.preventDefault();
+        }
+        break;
+      }
+      case 'Backspace':
+        if (!input && value.length > 0) {
+          removeTag(value[value.length - 1]);
+        }
+        break;
+      case 'ArrowDown':
+        if (showSuggestions) {
+          e.preventDefault();
+          setActiveIndex((prev) => (prev + 1) % visibleSuggestions.length);
+        } else {
+          setOpen(true);
+        }
+        break;
+      case 'ArrowUp':
+        if (showSuggestions) {
+          e.preventDefault();
+          setActiveIndex((prev) => (prev <= 0 ? visibleSuggestions.length - 1 : prev - 1));
+        }
+        break;
+      case 'Escape':
+        if (showSuggestions) {
+          e.preventDefault();
+          setOpen(false);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <>
+      <div className="tag-input-wrapper">
+        <div
+          className={`tag-input ${disabled ? 'disabled' : ''}`}
+          onClick={() => inputRef.current?.focus()}
+        >
+          {value.map((tag) => (
+            <span key={tag} className="tag-chip">
+              #{tag}
+              <button
+                type="button"
+                className="tag-remove"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  removeTag(tag);
+                }}
+                aria-label={`Remove tag ${tag}`}
+                disabled={disabled}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <input
+            id={id}
+            ref={inputRef}
+            type="text"
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls={listId}
+            aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+            value={input}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            onFocus={() => setOpen(true)}
+            onBlur={() => {
+              setOpen(false);
+              if (input.trim()) addTags([input]);
+            }}
+            placeholder={atLimit ? `Up to ${MAX_TAGS} tags` : value.length ? 'Add another tag' : 'Add tags, e.g. javascript'}
+            disabled={disabled}
+            readOnly={atLimit}
+            autoComplete="off"
+          />
+        </div>
+        {showSuggestions && (
+          <ul id={listId} className="tag-suggestions" role="listbox">
+            {visibleSuggestions.map((tag, index) => (
+              <li
+                key={tag}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={index === activeIndex ? 'active' : ''}
+                onMouseDown={(e) => {
+                  // Keep focus in the input so the list doesn't close first
+                  e.preventDefault();
+                  addTags([tag]);
+                }}
+              >
+                #{tag}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <small className="file-hint">
+        Press Enter or comma to add a tag. Up to {MAX_TAGS} tags.
+      </small>
+    </>
+  );
+};
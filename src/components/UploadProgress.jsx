@@ -0,0 +1,63 @@
+import './UploadProgress.css';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Progress bar for an upload tracked with useUpload. Cancelling is offered
+ * until every byte has been sent; after that the server may already be
+ * saving the upload.
+ * @param {Object} props
+ * @param {{loaded: number, total: number, attempt: number}|null} props.upload
+ * @param {() => void} props.onCancel
+ */
+const UploadProgress = ({ upload, onCancel, label = 'Uploading' }) => {
+  if (!upload) {
+    return null;
+  }
+
+  const { loaded, total, attempt } = upload;
+  const percent = total ? Math.round((loaded / total) * 100) : 0;
+  const sent = total > 0 && loaded >= total;
+
+  let message = `${label}... ${percent}%`;
+  if (sent) {
+    message = 'Upload complete, saving...';
+  } else if (attempt > 0 && loaded === 0) {
+    message = `Connection problem. Retrying (attempt ${attempt + 1})...`;
+  }
+
+  return (
+    <div className="upload-progress">
+      <div className="upload-progress-info">
+        <span role="status">{message}</span>
+        {total > 0 && !sent && (
+          <span className="upload-progress-bytes">
+            {formatBytes(loaded)} of {formatBytes(total)}
+          </span>
+        )}
+        {!sent && (
+          <button type="button" className="link-button danger" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+      <div
+        className="upload-progress-track"
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      >
+        <div className={`upload-progress-bar ${sent ? 'complete' : ''}`} style={{ width: `${percent}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadProgress;
@@ -1,8 +1,20 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI, userAPI } from '../services/api';
+import { authAPI, userAPI, onUnauthorized, onTokenRefreshed, getTokenExpiry, getRefreshToken } from '../services/api';
+import { queryCache } from '../services/queryCache';
+import { clearOfflineData } from '../services/serviceWorker';
+import { clearListSnapshots } from '../hooks/usePaginatedList';
+import { getSafeRedirectPath } from '../utils/redirect';
 
 const AuthContext = createContext(null);
 
+// Where to send the user after they log back in following a session expiry
+const REDIRECT_KEY = 'redirectAfterLogin';
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+// setTimeout overflows above ~24.8 days
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -15,6 +27,8 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [tokenVersion, setTokenVersion] = useState(0);
 
   useEffect(() => {
     // Check if user is already logged in (token exists)
@@ -22,8 +36,8 @@ export const AuthProvider = ({ children }) => {
       const token = authAPI.getToken();
       if (token) {
         try {
-          // Fetch user profile to get complete user info
-          const profile = await userAPI.getProfile();
+          // Fetch user profile to get complete user info (shared with the Profile page)
+          const profile = await queryCache.fetch('profile', userAPI.getProfile);
           setUser(profile);
           setIsAuthenticated(true);
         } catch (error) {
@@ -39,14 +53,67 @@ export const AuthProvider = ({ children }) => {
     fetchUserProfile();
   }, []);
 
+  useEffect(() => {
+    // Keep the user in step with the cached profile whenever it is refetched
+    return queryCache.subscribe('profile', () => {
+      const profile = queryCache.peek('profile');
+      if (profile) {
+        setUser(profile);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    // Any authenticated request rejected with 401 ends the session
+    const unsubscribe = onUnauthorized(() => {
+      const { pathname, search, hash } = window.location;
+      if (pathname !== '/login' && pathname !== '/signup') {
+        sessionStorage.setItem(REDIRECT_KEY, `${pathname}${search}${hash}`);
+      }
+      authAPI.logout();
+      queryCache.clear();
+      clearListSnapshots();
+      clearOfflineData();
+      setUser(null);
+      setIsAuthenticated(false);
+      setSessionExpired(true);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    // Reschedule the proactive refresh whenever a new access token is stored
+    return onTokenRefreshed(() => setTokenVersion((version) => version + 1));
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated || !getRefreshToken()) return;
+
+    const expiresAt = getTokenExpiry(authAPI.getToken());
+    if (!expiresAt) return;
+
+    const delay = Math.min(Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0), MAX_TIMEOUT_MS);
+    const timer = setTimeout(() => {
+      // Rejected refresh tokens end the session through onUnauthorized
+      authAPI.refresh().catch((error) => {
+        console.error('Failed to refresh access token:', error);
+      });
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [isAuthenticated, tokenVersion]);
+
   const login = async (email, password) => {
     try {
       const data = await authAPI.login(email, password);
       setUser(data.user);
       setIsAuthenticated(true);
+      setSessionExpired(false);
       return { success: true, data };
     } catch (error) {
-      return { success: false, error: error.message };
+      // The error itself, so forms can show its field messages
+      return { success: false, error };
     }
   };
 
@@ -55,16 +122,29 @@ export const AuthProvider = ({ children }) => {
       const data = await authAPI.signup(username, email, password);
       setUser(data.user);
       setIsAuthenticated(true);
+      setSessionExpired(false);
       return { success: true, data };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error };
     }
   };
 
   const logout = () => {
     authAPI.logout();
+    queryCache.clear();
+    clearListSnapshots();
+    clearOfflineData();
+    sessionStorage.removeItem(REDIRECT_KEY);
     setUser(null);
     setIsAuthenticated(false);
+    setSessionExpired(false);
+  };
+
+  // Returns the page saved when the session expired (once), or the fallback
+  const consumeRedirectPath = (fallback = '/posts') => {
+    const path = sessionStorage.getItem(REDIRECT_KEY);
+    sessionStorage.removeItem(REDIRECT_KEY);
+    return getSafeRedirectPath(path, fallback);
   };
 
   const updateUser = (userData) => {
@@ -73,7 +153,8 @@ export const AuthProvider = ({ children }) => {
 
   const refreshProfile = async () => {
     try {
-      const profile = await userAPI.getProfile();
+      queryCache.invalidate('profile');
+      const profile = await queryCache.fetch('profile', userAPI.getProfile);
       setUser(profile);
       return { success: true, data: profile };
     } catch (error) {
@@ -87,11 +168,13 @@ export const AuthProvider = ({ children }) => {
         user,
         isAuthenticated,
         loading,
+        sessionExpired,
         login,
         signup,
         logout,
         updateUser,
         refreshProfile,
+        consumeRedirectPath,
       }}
     >
       {children}
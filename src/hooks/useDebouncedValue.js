@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Return `value` once it has stopped changing for `delay` milliseconds
+ * @param {*} value
+ * @param {number} [delay]
+ * @returns {*} The debounced value
+ */
+export const useDebouncedValue = (value, delay = 400) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
@@ -0,0 +1,90 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { draftsAPI } from '../services/drafts';
+
+/**
+ * Autosave a post form as a local draft after the user stops typing.
+ * A pending save is flushed when the form is closed, the component unmounts,
+ * or the page is hidden, so nothing typed is lost.
+ * @param {Object} options
+ * @param {number|string} options.userId - Owner of the draft
+ * @param {string} options.draftKey - NEW_POST_DRAFT or editPostDraftKey(id)
+ * @param {{title: string, content: string, tags?: string[], images: Array<Object>, postId?: number|null}} options.draft - Current form values
+ * @param {boolean} options.dirty - Whether the form differs from what is published; clean forms have no draft
+ * @param {boolean} options.enabled - Set once any existing draft has been restored into the form
+ * @param {number} [options.delay] - Debounce in milliseconds
+ * @returns {{lastSavedAt: Date|null, discardDraft: () => Promise<void>}}
+ */
+export const useDraftAutosave = ({ userId, draftKey, draft, dirty, enabled, delay = 800 }) => {
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const pendingSaveRef = useRef(null);
+  const savedImagesRef = useRef(undefined);
+
+  const { title, content, tags, images, postId = null } = draft;
+
+  useEffect(() => {
+    savedImagesRef.current = undefined;
+    setLastSavedAt(null);
+  }, [userId, draftKey]);
+
+  useEffect(() => {
+    if (!enabled || !userId || !draftKey) {
+      // Closing the form writes out whatever was typed since the last save
+      pendingSaveRef.current?.();
+      pendingSaveRef.current = null;
+      return;
+    }
+
+    const save = async () => {
+      if (!dirty) {
+        await draftsAPI.remove(userId, draftKey);
+        savedImagesRef.current = undefined;
+        setLastSavedAt(null);
+        return;
+      }
+      // Only rewrite the stored images when the list itself changed
+      const imagesChanged = images !== savedImagesRef.current;
+      savedImagesRef.current = images;
+      await draftsAPI.save(userId, draftKey, {
+        title,
+        content,
+        tags,
+        images: imagesChanged ? images : undefined,
+        postId,
+      });
+      setLastSavedAt(new Date());
+    };
+
+    pendingSaveRef.current = save;
+    const timer = setTimeout(() => {
+      pendingSaveRef.current = null;
+      save();
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [enabled, userId, draftKey, title, content, tags, images, postId, dirty, delay]);
+
+  useEffect(() => {
+    const flush = () => {
+      pendingSaveRef.current?.();
+      pendingSaveRef.current = null;
+    };
+
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, []);
+
+  // Drop the draft, e.g. after the post has been published
+  const discardDraft = useCallback(async () => {
+    pendingSaveRef.current = null;
+    savedImagesRef.current = undefined;
+    setLastSavedAt(null);
+    if (userId && draftKey) {
+      await draftsAPI.remove(userId, draftKey);
+    }
+  }, [userId, draftKey]);
+
+  return { lastSavedAt, discardDraft };
+};
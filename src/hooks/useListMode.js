@@ -0,0 +1,10 @@
+import { useUserPreference } from './useUserPreference';
+
+export const LIST_MODES = ['paged', 'infinite'];
+
+/**
+ * The user's preferred way of browsing lists: 'paged' (Previous/Next) or 'infinite'
+ * @param {number|string|undefined} userId
+ * @returns {['paged'|'infinite', (mode: 'paged'|'infinite') => void]}
+ */
+export const useListMode = (userId) => useUserPreference('listMode', userId, 'paged', LIST_MODES);
@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from 'react';
+
+const subscribe = (onChange) => {
+  window.addEventListener('online', onChange);
+  window.addEventListener('offline', onChange);
+  return () => {
+    window.removeEventListener('online', onChange);
+    window.removeEventListener('offline', onChange);
+  };
+};
+
+/**
+ * Whether the browser has a network connection. It can be online while the
+ * backend is still unreachable, so requests may fail either way.
+ * @returns {boolean}
+ */
+export const useOnlineStatus = () => useSyncExternalStore(subscribe, () => navigator.onLine);
@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { outboxAPI, onOutboxChanged } from '../services/outbox';
+
+/**
+ * A user's queued offline changes (see services/outbox), kept up to date as
+ * they are added and synced
+ * @param {number|string} userId
+ * @returns {Array<Object>} Outbox entries, oldest first
+ */
+export const useOutbox = (userId) => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    if (!userId) {
+      setEntries([]);
+      return;
+    }
+
+    let cancelled = false;
+    const loadEntries = () => {
+      outboxAPI
+        .list(userId)
+        .then((list) => {
+          if (!cancelled) setEntries(list);
+        })
+        .catch((error) => console.error('Failed to load outbox:', error));
+    };
+
+    loadEntries();
+    const unsubscribe = onOutboxChanged(loadEntries);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [userId]);
+
+  return entries;
+};
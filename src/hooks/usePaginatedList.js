@@ -0,0 +1,223 @@
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { useNavigationType } from 'react-router-dom';
+import { queryCache } from '../services/queryCache';
+import { useRetryOnRecovery } from './useRetryOnRecovery';
+
+// Last state of each list, so coming back (browser Back) shows the same items
+// at the same scroll position instead of refetching from page 1
+const snapshots = new Map();
+// Bumped on every clear, so lists already on screen don't save themselves again
+let snapshotGeneration = 0;
+
+/**
+ * Forget every saved list, e.g. on logout, so the next user never sees them
+ */
+export const clearListSnapshots = () => {
+  snapshots.clear();
+  snapshotGeneration++;
+};
+
+// Each page is cached on its own (see services/queryCache)
+const pageKey = (key, page) => `${key}#${page}`;
+
+// Add a page to the items already shown, updating any that were on it before
+const mergePage = (prev, pageItems) => {
+  const fresh = new Map(pageItems.map((item) => [item.id, item]));
+  return [
+    ...prev.map((item) => fresh.get(item.id) ?? item),
+    ...pageItems.filter((item) => !prev.some((existing) => existing.id === item.id)),
+  ];
+};
+
+/**
+ * Paginated list state with two modes:
+ * - 'paged': one page at a time, driven by goToPage()
+ * - 'infinite': pages are appended as the sentinel element scrolls into view
+ * Pages are read through the query cache: a cached page shows straight away
+ * and is revalidated in the background.
+ * @param {Object} options
+ * @param {string} options.key - Identifies the list and its query; a new key starts again from page 1
+ * @param {(page: number) => Promise<{items: Array, pagination: Object|null}>} options.fetchPage
+ * @param {'paged'|'infinite'} [options.mode]
+ * `error` is the Error from the last failed load (see services/errors), or null
+ */
+export const usePaginatedList = ({ key, fetchPage, mode = 'paged' }) => {
+  const navigationType = useNavigationType();
+  const listKey = `${key}|${mode}`;
+
+  const [restored] = useState(() => (navigationType === 'POP' ? snapshots.get(listKey) : null));
+  const [items, setItems] = useState(restored?.items || []);
+  const [pagination, setPagination] = useState(restored?.pagination || null);
+  const [page, setPage] = useState(restored?.page || 1);
+  const [loading, setLoading] = useState(!restored);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchPageRef = useRef(fetchPage);
+  const keyRef = useRef(key);
+  const requestIdRef = useRef(0);
+  const skipLoadRef = useRef(restored ? listKey : null);
+  const latestRef = useRef(null);
+
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+    keyRef.current = key;
+  });
+
+  const load = useCallback(async (pageNumber, { append = false, force = false } = {}) => {
+    // Ignore responses to requests that have since been superseded
+    const requestId = ++requestIdRef.current;
+    const cacheKey = pageKey(keyRef.current, pageNumber);
+    // Pages invalidated by a mutation may still list deleted posts; wait for those
+    const entry = queryCache.getEntry(cacheKey);
+    const cached = !force && entry?.hasData && entry.updatedAt > 0 ? entry.data : undefined;
+
+    const showPage = (result) => {
+      const pageItems = result.items || [];
+      setItems((prev) => (append ? mergePage(prev, pageItems) : pageItems));
+      setPagination(result.pagination || null);
+      setPage(pageNumber);
+    };
+
+    if (cached) {
+      showPage(cached);
+    } else if (append) {
+      setLoadingMore(true);
+    } else {
+      setLoading(true);
+    }
+    setError(null);
+
+    try {
+      const result = await queryCache.fetch(cacheKey, () => fetchPageRef.current(pageNumber), { force });
+      if (requestId !== requestIdRef.current) return;
+      if (result !== cached) {
+        showPage(result);
+      }
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      // Keep showing a cached page if only its revalidation failed
+      if (!cached) {
+        setError(err);
+      }
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    if (skipLoadRef.current === listKey) return;
+    skipLoadRef.current = null;
+    load(1);
+  }, [listKey, load]);
+
+  useLayoutEffect(() => {
+    if (restored) {
+      window.scrollTo(0, restored.scrollY);
+    }
+  }, [restored]);
+
+  useEffect(() => {
+    latestRef.current = { listKey, items, pagination, page };
+  }, [listKey, items, pagination, page]);
+
+  useEffect(() => {
+    const generation = snapshotGeneration;
+    return () => {
+      const latest = latestRef.current;
+      if (latest?.items.length && generation === snapshotGeneration) {
+        snapshots.set(latest.listKey, { ...latest, scrollY: window.scrollY });
+      }
+    };
+  }, []);
+
+  const goToPage = useCallback(
+    (pageNumber) => {
+      if (pageNumber >= 1 && (!pagination || pageNumber <= pagination.totalPages)) {
+        load(pageNumber);
+      }
+    },
+    [load, pagination]
+  );
+
+  const loadMore = useCallback(() => {
+    if (loading || loadingMore || error || !pagination?.hasNextPage) return;
+    load(page + 1, { append: true });
+  }, [load, loading, loadingMore, error, pagination, page]);
+
+  // Start over from the first page (e.g. after creating a post)
+  const reload = useCallback(() => load(1, { force: true }), [load]);
+
+  // Re-fetch what is on screen: the current page, or every loaded page in infinite mode
+  const refresh = useCallback(async () => {
+    if (mode !== 'infinite' || page <= 1) {
+      return load(page, { force: true });
+    }
+
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    try {
+      const pages = Array.from({ length: page }, (_, index) => index + 1);
+      const results = await Promise.all(
+        pages.map((pageNumber) =>
+          queryCache.fetch(pageKey(key, pageNumber), () => fetchPageRef.current(pageNumber), { force: true })
+        )
+      );
+      if (requestId !== requestIdRef.current) return;
+      const lastPage = results[results.length - 1];
+      setItems(results.flatMap((result) => result.items || []));
+      setPagination(lastPage.pagination || null);
+      setError(null);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      setError(err);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [load, key, mode, page]);
+
+  // Try again by itself once an unreachable server is back
+  useRetryOnRecovery(refresh, Boolean(error));
+
+  // Attach to an element below the list; it is re-observed after every load
+  // so a sentinel that stays in view keeps loading until the list fills the screen
+  const observerRef = useRef(null);
+  const sentinelRef = useCallback(
+    (node) => {
+      observerRef.current?.disconnect();
+      observerRef.current = null;
+      if (!node || mode !== 'infinite' || typeof IntersectionObserver === 'undefined') return;
+
+      observerRef.current = new IntersectionObserver(
+        (entries) => {
+          if (entries[0].isIntersecting) {
+            loadMore();
+          }
+        },
+        { rootMargin: '200px' }
+      );
+      observerRef.current.observe(node);
+    },
+    [mode, loadMore]
+  );
+
+  return {
+    items,
+    setItems,
+    pagination,
+    page,
+    loading,
+    loadingMore,
+    error,
+    goToPage,
+    loadMore,
+    reload,
+    refresh,
+    sentinelRef,
+  };
+};
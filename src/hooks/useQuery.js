@@ -0,0 +1,59 @@
+import { useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import { queryCache } from '../services/queryCache';
+import { useRetryOnRecovery } from './useRetryOnRecovery';
+
+/**
+ * Read a query through the shared cache: cached data is returned at once and
+ * revalidated in the background when stale, and components asking for the
+ * same key share one request.
+ * @param {string} key - Identifies the query; use the same key for the same data
+ * @param {() => Promise<*>} fetcher
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Set to false to wait (e.g. until a user is known)
+ * @param {number} [options.staleTime] - How long data counts as fresh, in ms
+ * @returns {{
+ *   data: *,
+ *   error: Error|null,
+ *   loading: boolean,
+ *   fetching: boolean,
+ *   refetch: () => Promise<*>,
+ *   setData: (update: *) => void,
+ * }} `loading` is true only while there is no data yet; `fetching` whenever a request is in flight
+ */
+export const useQuery = (key, fetcher, { enabled = true, staleTime } = {}) => {
+  const fetcherRef = useRef(fetcher);
+
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const subscribe = useCallback((onChange) => queryCache.subscribe(key, onChange), [key]);
+  const entry = useSyncExternalStore(subscribe, () => queryCache.getEntry(key));
+
+  useEffect(() => {
+    if (!enabled) return;
+    queryCache.fetch(key, () => fetcherRef.current(), { staleTime }).catch(() => {
+      // Surfaced through `error`
+    });
+  }, [key, enabled, staleTime]);
+
+  const refetch = useCallback(
+    () => queryCache.fetch(key, () => fetcherRef.current(), { force: true }),
+    [key]
+  );
+  const setData = useCallback((update) => queryCache.set(key, update), [key]);
+
+  // Not forced, so components sharing a key send one request between them
+  useRetryOnRecovery(() => {
+    queryCache.fetch(key, () => fetcherRef.current()).catch(() => {});
+  }, enabled && Boolean(entry?.error));
+
+  return {
+    data: entry?.data,
+    error: entry?.error ?? null,
+    loading: enabled && !entry?.hasData && (!entry?.error || Boolean(entry?.promise)),
+    fetching: Boolean(entry?.promise),
+    refetch,
+    setData,
+  };
+};
@@ -0,0 +1,21 @@
+import { useEffect, useRef } from 'react';
+import { onServerRecovered } from '../services/health';
+
+/**
+ * Call `retry` when the server comes back after being unreachable, as long
+ * as `failed` is true (e.g. while the page shows a load error)
+ * @param {() => void} retry
+ * @param {boolean} failed
+ */
+export const useRetryOnRecovery = (retry, failed) => {
+  const retryRef = useRef(retry);
+
+  useEffect(() => {
+    retryRef.current = retry;
+  });
+
+  useEffect(() => {
+    if (!failed) return;
+    return onServerRecovered(() => retryRef.current());
+  }, [failed]);
+};
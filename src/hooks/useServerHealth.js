@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { serverHealth } from '../services/health';
+
+/**
+ * Whether the backend can be reached, see services/health
+ * @returns {{status: 'up'|'down', checking: boolean, nextCheckAt: number|null}}
+ */
+export const useServerHealth = () => useSyncExternalStore(serverHealth.subscribe, serverHealth.getState);
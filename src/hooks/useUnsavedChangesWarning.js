@@ -0,0 +1,42 @@
+import { useEffect } from 'react';
+import { useBlocker } from 'react-router-dom';
+
+/**
+ * Warn before leaving the page while a form has unpublished changes:
+ * the browser's own prompt on tab close/reload, and a confirm() for in-app navigation.
+ * Navigating to /login (logout or session expiry) is never blocked.
+ * @param {boolean} when - Whether there are unsaved changes
+ * @param {string} message - Text shown in the in-app confirmation
+ */
+export const useUnsavedChangesWarning = (when, message) => {
+  useEffect(() => {
+    if (!when) return;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+    };
+  }, [when]);
+
+  const blocker = useBlocker(
+    ({ currentLocation, nextLocation }) =>
+      when &&
+      currentLocation.pathname !== nextLocation.pathname &&
+      nextLocation.pathname !== '/login'
+  );
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return;
+
+    if (window.confirm(message)) {
+      blocker.proceed();
+    } else {
+      blocker.reset();
+    }
+  }, [blocker, message]);
+};
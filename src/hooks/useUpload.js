@@ -0,0 +1,41 @@
+import { useState, useRef, useCallback } from 'react';
+
+/**
+ * Track an upload made through one of the API functions that take
+ * UploadOptions, so it can show progress and be cancelled.
+ * @returns {{
+ *   upload: {loaded: number, total: number, attempt: number}|null,
+ *   run: (request: (options: Object) => Promise<*>) => Promise<*>,
+ *   cancel: () => void,
+ * }} `upload` is null when nothing is uploading; `attempt` counts automatic retries
+ */
+export const useUpload = () => {
+  const [upload, setUpload] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Call `request` with the options to pass on to the API function
+  const run = useCallback(async (request) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setUpload({ loaded: 0, total: 0, attempt: 0 });
+
+    try {
+      return await request({
+        signal: controller.signal,
+        onUploadProgress: ({ loaded, total }) => setUpload((prev) => ({ ...prev, loaded, total })),
+        onRetry: (attempt) => setUpload({ loaded: 0, total: 0, attempt }),
+      });
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+      setUpload(null);
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  return { upload, run, cancel };
+};
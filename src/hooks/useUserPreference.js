@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const storageKey = (name, userId) => `${name}:${userId ?? 'guest'}`;
+
+const readPreference = (name, userId, defaultValue, allowedValues) => {
+  const stored = localStorage.getItem(storageKey(name, userId));
+  return allowedValues.includes(stored) ? stored : defaultValue;
+};
+
+/**
+ * A string preference remembered per user in localStorage
+ * @param {string} name - Preference name, used in the storage key
+ * @param {number|string|undefined} userId
+ * @param {string} defaultValue
+ * @param {string[]} allowedValues - Stored values outside this list are ignored; pass a stable (module-level) array
+ * @returns {[string, (value: string) => void]}
+ */
+export const useUserPreference = (name, userId, defaultValue, allowedValues) => {
+  const [value, setValueState] = useState(() =>
+    readPreference(name, userId, defaultValue, allowedValues)
+  );
+
+  useEffect(() => {
+    setValueState(readPreference(name, userId, defaultValue, allowedValues));
+  }, [name, userId, defaultValue, allowedValues]);
+
+  const setValue = useCallback(
+    (nextValue) => {
+      localStorage.setItem(storageKey(name, userId), nextValue);
+      setValueState(nextValue);
+    },
+    [name, userId]
+  );
+
+  return [value, setValue];
+};
@@ -1,3 +1,13 @@
+import { queryCache } from './queryCache';
+import {
+  ApiError,
+  AuthError,
+  NetworkError,
+  ServerError,
+  ValidationError,
+  createApiError,
+} from './errors';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
 
 // Helper function to get token from localStorage
@@ -15,9 +25,267 @@ const removeToken = () => {
   localStorage.removeItem('token');
 };
 
+// Helper function to get refresh token from localStorage
+const getRefreshToken = () => {
+  return localStorage.getItem('refreshToken');
+};
+
+// Helper function to set refresh token in localStorage
+const setRefreshToken = (refreshToken) => {
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+// Helper function to remove refresh token from localStorage
+const removeRefreshToken = () => {
+  localStorage.removeItem('refreshToken');
+};
+
+// Store the tokens from an auth response (login, signup or refresh)
+const storeTokens = (data) => {
+  const accessToken = data.accessToken || data.token;
+  const refreshToken = data.refreshToken || data.refresh_token;
+  if (accessToken) {
+    setToken(accessToken);
+  }
+  if (refreshToken) {
+    setRefreshToken(refreshToken);
+  }
+};
+
+/**
+ * Read the expiry time from a JWT's `exp` claim
+ * @param {string} token - JWT access token
+ * @returns {number|null} Expiry as a millisecond timestamp, or null if the token has no readable exp
+ */
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    const { exp } = JSON.parse(json);
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// Event fired when an authenticated request is rejected with 401
+export const UNAUTHORIZED_EVENT = 'auth:unauthorized';
+
+export class UnauthorizedEvent extends Event {
+  constructor({ endpoint, message }) {
+    super(UNAUTHORIZED_EVENT);
+    this.endpoint = endpoint;
+    this.message = message;
+  }
+}
+
+const authEvents = new EventTarget();
+
+/**
+ * Subscribe to session-expiry notifications from apiRequest
+ * @param {(event: UnauthorizedEvent) => void} handler - Called on every 401 from an authenticated request
+ * @returns {() => void} Unsubscribe function
+ */
+export const onUnauthorized = (handler) => {
+  authEvents.addEventListener(UNAUTHORIZED_EVENT, handler);
+  return () => authEvents.removeEventListener(UNAUTHORIZED_EVENT, handler);
+};
+
+// Event fired after the access token has been replaced by a refresh
+export const TOKEN_REFRESHED_EVENT = 'auth:token-refreshed';
+
+/**
+ * Subscribe to access token refreshes
+ * @param {(event: Event) => void} handler - Called after new tokens have been stored
+ * @returns {() => void} Unsubscribe function
+ */
+export const onTokenRefreshed = (handler) => {
+  authEvents.addEventListener(TOKEN_REFRESHED_EVENT, handler);
+  return () => authEvents.removeEventListener(TOKEN_REFRESHED_EVENT, handler);
+};
+
+// Event fired when a request fails because the server could not be reached
+export const NETWORK_ERROR_EVENT = 'api:network-error';
+
+const connectionEvents = new EventTarget();
+
+/**
+ * Subscribe to requests failing to reach the server (see services/health)
+ * @param {(event: Event) => void} handler
+ * @returns {() => void} Unsubscribe function
+ */
+export const onNetworkError = (handler) => {
+  connectionEvents.addEventListener(NETWORK_ERROR_EVENT, handler);
+  return () => connectionEvents.removeEventListener(NETWORK_ERROR_EVENT, handler);
+};
+
+// In-flight refresh shared by every request that hits a 401 at the same time
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent callers share a single request. If the server rejects the
+ * refresh token the session is over and an UnauthorizedEvent is raised.
+ * @returns {Promise<string>} The new access token
+ */
+const refreshAccessToken = () => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  refreshPromise = (async () => {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) {
+      throw new AuthError('No refresh token available');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    let data = {};
+    try {
+      data = await response.json();
+    } catch {
+      // Fall through to the status check below
+    }
+
+    if (!response.ok || !(data.accessToken || data.token)) {
+      const errorMessage = data.error || data.message || 'Session expired. Please log in again.';
+      const isRejected = response.status >= 400 && response.status < 500;
+      const details = { status: response.status, data, endpoint: '/api/auth/refresh' };
+      const error = isRejected
+        ? new AuthError(errorMessage, details)
+        : createApiError({ ...details, message: errorMessage });
+      if (isRejected) {
+        removeRefreshToken();
+        authEvents.dispatchEvent(new UnauthorizedEvent({ endpoint: error.endpoint, message: errorMessage }));
+      }
+      throw error;
+    }
+
+    storeTokens(data);
+    authEvents.dispatchEvent(new Event(TOKEN_REFRESHED_EVENT));
+    return getToken();
+  })().finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+/**
+ * Options for requests that upload files
+ * @typedef {Object} UploadOptions
+ * @property {AbortSignal} [signal] - Aborting it cancels the upload
+ * @property {(progress: {loaded: number, total: number}) => void} [onUploadProgress] - Bytes sent so far
+ * @property {(attempt: number) => void} [onRetry] - Called before each automatic retry
+ */
+
+// Uploads are retried after network failures and gateway errors, which are
+// usually over by the next attempt. A POST or PUT the server may already have
+// handled is never resent (see sendWithRetry).
+const UPLOAD_RETRIES = 2;
+const RETRY_DELAY = 1000;
+const TRANSIENT_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const abortError = () => new DOMException('The request was cancelled', 'AbortError');
+
+// Resolves after `ms`, or rejects as soon as the signal is aborted
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+
+// fetch can't report upload progress, so requests that ask for it go through
+// XMLHttpRequest. Resolves with the parts of a Response that apiRequest uses.
+const xhrFetch = (url, { method = 'GET', headers = {}, body, signal, onUploadProgress }) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    // Whether any of the body went out, i.e. the server may have seen the request
+    let bodySent = false;
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => {
+      if (event.loaded > 0) {
+        bodySent = true;
+      }
+      if (event.lengthComputable) {
+        onUploadProgress({ loaded: event.loaded, total: event.total });
+      }
+    };
+    xhr.onload = () =>
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        statusText: xhr.statusText,
+        json: async () => JSON.parse(xhr.responseText),
+      });
+    // Reject the way fetch does so apiRequest reports it the same way
+    xhr.onerror = () => {
+      const error = new TypeError('Failed to fetch');
+      error.bodySent = bodySent;
+      reject(error);
+    };
+    xhr.onabort = () => reject(abortError());
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+
+    xhr.send(body);
+  });
+
+// Send a request, retrying up to `retries` times with a growing delay.
+// A gateway error doesn't say whether the server handled the request, so only
+// idempotent requests are retried on one. Others are only resent after a
+// connection failure that happened before any of the body was sent, which
+// only the XMLHttpRequest path can tell.
+const sendWithRetry = async (send, { retries, idempotent, signal, onRetry }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await send();
+      if (attempt >= retries || !idempotent || !TRANSIENT_STATUSES.includes(response.status)) {
+        return response;
+      }
+    } catch (error) {
+      const mayHaveReachedServer = !idempotent && error.bodySent !== false;
+      if (error.name === 'AbortError' || attempt >= retries || mayHaveReachedServer) {
+        throw error;
+      }
+    }
+    onRetry?.(attempt + 1);
+    await wait(RETRY_DELAY * 2 ** attempt, signal);
+  }
+};
+
 // Generic API request function
-const apiRequest = async (endpoint, options = {}) => {
+// A 401 on an authenticated request triggers one token refresh and a replay
+// of the original request; canRefresh is false for that replay.
+// Besides the fetch options (including `signal`), options may carry
+// `onUploadProgress`, `retries` and `onRetry`. A cancelled request rejects
+// with an AbortError; every other failure is an ApiError (see services/errors).
+const apiRequest = async (endpoint, options = {}, canRefresh = true) => {
   const token = getToken();
+  const { onUploadProgress, retries = 0, onRetry, ...fetchOptions } = options;
   
   // Don't set Content-Type for FormData, let the browser set it with boundary
   const isFormData = options.body instanceof FormData;
@@ -31,10 +299,19 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 
   try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-      ...options,
-      headers,
-    });
+    const url = `${API_BASE_URL}${endpoint}`;
+    const response = await sendWithRetry(
+      () =>
+        onUploadProgress
+          ? xhrFetch(url, { ...fetchOptions, headers, onUploadProgress })
+          : fetch(url, { ...fetchOptions, headers }),
+      {
+        retries,
+        idempotent: IDEMPOTENT_METHODS.includes((fetchOptions.method || 'GET').toUpperCase()),
+        signal: fetchOptions.signal,
+        onRetry,
+      }
+    );
 
     // Try to parse JSON, but handle cases where response might not be JSON
     let data;
@@ -43,25 +320,46 @@ const apiRequest = async (endpoint, options = {}) => {
     } catch (parseError) {
       // If response is not JSON, create a basic error
       if (!response.ok) {
-        throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        throw createApiError({
+          status: response.status,
+          message: `Server error: ${response.status} ${response.statusText}`,
+          endpoint,
+        });
       }
-      throw new Error('Invalid response from server');
+      throw new ServerError('Invalid response from server', { status: response.status, endpoint });
     }
 
     if (!response.ok) {
       // Extract error message from response
       const errorMessage = data.error || data.message || `Server error: ${response.status} ${response.statusText}`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      error.data = data;
-      error.endpoint = endpoint;
+      const error = createApiError({ status: response.status, message: errorMessage, data, endpoint });
+
+      // A 401 on a request that carried a token means the access token is no longer valid.
+      // Login/signup failures are excluded since they report bad credentials.
+      if (response.status === 401 && token && !endpoint.startsWith('/api/auth/')) {
+        if (canRefresh && getToken() !== token) {
+          // Another request already refreshed the token while this one was in flight
+          return apiRequest(endpoint, options, false);
+        }
+        if (canRefresh && getRefreshToken()) {
+          await refreshAccessToken();
+          return apiRequest(endpoint, options, false);
+        }
+        authEvents.dispatchEvent(new UnauthorizedEvent({ endpoint, message: errorMessage }));
+      }
+
       throw error;
     }
 
     return data;
   } catch (error) {
     // If it's already our custom error, re-throw it
-    if (error.status) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    // Cancelled by the caller, not a failure
+    if (error.name === 'AbortError') {
       throw error;
     }
     
@@ -70,11 +368,15 @@ const apiRequest = async (endpoint, options = {}) => {
         error.message.includes('ERR_CONNECTION_REFUSED') ||
         error.message.includes('NetworkError') ||
         error.name === 'TypeError') {
-      throw new Error('Cannot connect to server. Please make sure the backend server is running on http://localhost:3000');
+      connectionEvents.dispatchEvent(new Event(NETWORK_ERROR_EVENT));
+      throw new NetworkError(
+        `Cannot connect to server. Please make sure the backend server is running on ${API_BASE_URL}`,
+        { endpoint, bodySent: error.bodySent }
+      );
     }
     
     // Handle other network errors or JSON parsing errors
-    throw new Error(error.message || 'Network error. Please check your connection.');
+    throw new ApiError(error.message || 'Network error. Please check your connection.', { endpoint });
   }
 };
 
@@ -85,7 +387,7 @@ export const authAPI = {
    * @param {string} username - User's username
    * @param {string} email - User's email
    * @param {string} password - User's password (min 6 characters)
-   * @returns {Promise<{message: string, token: string, user: {id: number, username: string, email: string}}>}
+   * @returns {Promise<{message: string, token: string, refreshToken?: string, user: {id: number, username: string, email: string}}>}
    * @throws {Error} With error message from API
    */
   signup: async (username, email, password) => {
@@ -95,10 +397,8 @@ export const authAPI = {
         body: JSON.stringify({ username, email, password }),
       });
       
-      // Store token if present
-      if (data.token) {
-        setToken(data.token);
-      }
+      // Store access and refresh tokens if present
+      storeTokens(data);
       
       return data;
     } catch (error) {
@@ -111,7 +411,7 @@ export const authAPI = {
    * Log in an existing user
    * @param {string} email - User's email
    * @param {string} password - User's password
-   * @returns {Promise<{message: string, token: string, user: {id: number, username: string, email: string}}>}
+   * @returns {Promise<{message: string, token: string, refreshToken?: string, user: {id: number, username: string, email: string}}>}
    * @throws {Error} With error message from API
    */
   login: async (email, password) => {
@@ -121,10 +421,8 @@ export const authAPI = {
         body: JSON.stringify({ email, password }),
       });
       
-      // Store token if present
-      if (data.token) {
-        setToken(data.token);
-      }
+      // Store access and refresh tokens if present
+      storeTokens(data);
       
       return data;
     } catch (error) {
@@ -133,8 +431,18 @@ export const authAPI = {
     }
   },
 
+  /**
+   * Exchange the stored refresh token for a new access token
+   * @returns {Promise<string>} The new access token
+   * @throws {Error} If there is no refresh token or the server rejects it
+   */
+  refresh: () => {
+    return refreshAccessToken();
+  },
+
   logout: () => {
     removeToken();
+    removeRefreshToken();
   },
 
   getToken: () => {
@@ -142,10 +450,94 @@ export const authAPI = {
   },
 };
 
+// Cached queries (see services/queryCache) that each kind of change makes
+// stale, by key prefix
+const POST_LIST_QUERIES = ['posts?', 'user-posts', 'tag-posts', 'author-posts', 'bookmarks', 'liked-posts'];
+const POST_QUERIES = [...POST_LIST_QUERIES, 'profile', 'user-stats'];
+const PROFILE_QUERIES = ['profile', ...POST_LIST_QUERIES];
+const FOLLOW_QUERIES = ['profile', 'user-stats', 'posts?'];
+
+// Passed to .then() on a mutation: once it succeeds, invalidate what it changed
+const invalidates = (queries) => (result) => {
+  queryCache.invalidate(...queries);
+  return result;
+};
+
+// New files are sent as repeated `images` parts. `image_order` lists the whole
+// gallery in display order with alt text, pointing at a kept image by id (or
+// url) and at a new one by its index among the `images` parts.
+const appendImages = (formData, images) => {
+  let uploadIndex = 0;
+  const order = images.map((image) => {
+    if (image.file) {
+      formData.append('images', image.file);
+      return { upload: uploadIndex++, alt: image.alt || '' };
+    }
+    return { id: image.id ?? undefined, url: image.url, alt: image.alt || '' };
+  });
+  formData.append('image_order', JSON.stringify(order));
+};
+
+// Query string for the post list endpoints; filters are only sent when set
+const postListParams = (page, limit, filters, sort) => {
+  const params = new URLSearchParams({ page, limit });
+  if (sort) {
+    params.set('sort', sort);
+  }
+  const { search, author, from, to, hasImage, tag } = filters;
+
+  if (search?.trim()) {
+    params.set('search', search.trim());
+  }
+  if (author?.trim()) {
+    params.set('author', author.trim());
+  }
+  if (from) {
+    params.set('from', from);
+  }
+  if (to) {
+    params.set('to', to);
+  }
+  if (hasImage) {
+    params.set('hasImage', 'true');
+  }
+  if (tag) {
+    params.set('tag', tag);
+  }
+  return params;
+};
+
 // Posts API functions
 export const postsAPI = {
-  getPosts: async (page = 1, limit = 10) => {
-    return apiRequest(`/api/posts?page=${page}&limit=${limit}`);
+  /**
+   * Get a page of posts, optionally filtered
+   * @param {number} page - Page number (default: 1)
+   * @param {number} limit - Posts per page (default: 10)
+   * @param {Object} filters - Optional filters, only sent when set
+   * @param {string} filters.search - Text to match in title or content
+   * @param {string} filters.author - Author username
+   * @param {string} filters.from - Earliest creation date (YYYY-MM-DD)
+   * @param {string} filters.to - Latest creation date (YYYY-MM-DD)
+   * @param {boolean} filters.hasImage - Only posts with an image
+   * @param {string} filters.tag - Only posts with this tag
+   * @param {string} sort - 'newest', 'oldest', 'title' or 'active' (optional)
+   * @returns {Promise<{posts: Array, pagination: Object}>}
+   */
+  getPosts: async (page = 1, limit = 10, filters = {}, sort) => {
+    return apiRequest(`/api/posts?${postListParams(page, limit, filters, sort)}`);
+  },
+
+  /**
+   * Get a page of posts by authors the current user follows
+   * Takes the same filters and sort as getPosts.
+   * @param {number} page - Page number (default: 1)
+   * @param {number} limit - Posts per page (default: 10)
+   * @param {Object} filters - Optional filters, see getPosts
+   * @param {string} sort - Sort order, see getPosts (optional)
+   * @returns {Promise<{posts: Array, pagination: Object}>}
+   */
+  getFollowingFeed: async (page = 1, limit = 10, filters = {}, sort) => {
+    return apiRequest(`/api/posts/following?${postListParams(page, limit, filters, sort)}`);
   },
 
   getPostById: async (id) => {
@@ -156,51 +548,81 @@ export const postsAPI = {
   },
 
   /**
-   * Create a new post with optional image
+   * Create a new post with optional images
    * @param {Object} payload - Post data
    * @param {string} payload.title - Post title (required)
    * @param {string} payload.content - Post content (required)
-   * @param {File} payload.image - Image file (optional, max 5MB, JPEG/PNG/GIF/WebP)
+   * @param {Array<{file: File, alt?: string}>} payload.images - Images in display order (optional, each max 5MB, JPEG/PNG/GIF/WebP)
+   * @param {string[]} payload.tags - Tag slugs (optional)
+   * @param {string} payload.status - 'published' (default), 'scheduled' or 'draft'
+   * @param {string} payload.publishAt - ISO date-time to publish at, required when scheduled
+   * @param {UploadOptions} [uploadOptions] - Progress, cancellation and retry callbacks
    * @returns {Promise<{message: string, post: Object}>}
    */
-  createPost: async ({ title, content, image }) => {
+  createPost: async ({ title, content, images, tags, status, publishAt }, uploadOptions = {}) => {
     if (!title || !content) {
-      throw new Error('Title and content are required');
+      throw new ValidationError('Title and content are required', {
+        fields: {
+          ...(!title && { title: 'Title is required' }),
+          ...(!content && { content: 'Content is required' }),
+        },
+      });
     }
 
     const formData = new FormData();
     formData.append('title', title);
     formData.append('content', content);
     
-    if (image) {
-      formData.append('image', image);
+    if (images?.length) {
+      appendImages(formData, images);
+    }
+    if (tags?.length) {
+      formData.append('tags', JSON.stringify(tags));
+    }
+    if (status) {
+      formData.append('status', status);
+    }
+    if (status === 'scheduled') {
+      if (!publishAt) {
+        throw new ValidationError('A publish time is required for scheduled posts', {
+          fields: { publishAt: 'Choose when to publish' },
+        });
+      }
+      formData.append('publish_at', publishAt);
     }
 
     return apiRequest('/api/posts', {
       method: 'POST',
       body: formData,
-    });
+      retries: UPLOAD_RETRIES,
+      ...uploadOptions,
+    }).then(invalidates(POST_QUERIES));
   },
 
   /**
-   * Update an existing post with optional image
+   * Update an existing post with optional images
    * @param {number|string} id - Post ID
    * @param {Object} payload - Post data
    * @param {string} payload.title - Updated title (optional)
    * @param {string} payload.content - Updated content (optional)
-   * @param {File} payload.image - New image file (optional, max 5MB, JPEG/PNG/GIF/WebP)
+   * @param {Array<{id?: number|string, url?: string, file?: File, alt?: string}>} payload.images - The full
+   *   replacement gallery in display order: kept images by id/url, new ones as files (optional, [] removes all images)
+   * @param {string[]} payload.tags - Replacement tag list (optional, [] removes all tags)
+   * @param {string} payload.status - 'published', 'scheduled' or 'draft' (optional)
+   * @param {string} payload.publishAt - ISO date-time to publish at (optional, for scheduled posts)
+   * @param {UploadOptions} [uploadOptions] - Progress, cancellation and retry callbacks
    * @returns {Promise<{message: string, post: Object}>}
    */
-  updatePost: async (id, payload) => {
+  updatePost: async (id, payload, uploadOptions = {}) => {
     if (!id) {
       throw new Error('Post id is required');
     }
     
-    const { title, content, image } = payload || {};
+    const { title, content, images, tags, status, publishAt } = payload || {};
     
     // At least one field must be provided
-    if (!title && !content && !image) {
-      throw new Error('Title, content, or image must be provided');
+    if (!title && !content && !images && !tags && !status && !publishAt) {
+      throw new Error('Title, content, images, tags, or status must be provided');
     }
 
     const formData = new FormData();
@@ -211,14 +633,60 @@ export const postsAPI = {
     if (content) {
       formData.append('content', content);
     }
-    if (image) {
-      formData.append('image', image);
+    if (images) {
+      appendImages(formData, images);
+    }
+    if (tags) {
+      formData.append('tags', JSON.stringify(tags));
+    }
+    if (status) {
+      formData.append('status', status);
+    }
+    if (publishAt) {
+      formData.append('publish_at', publishAt);
     }
 
     return apiRequest(`/api/posts/${id}`, {
       method: 'PUT',
       body: formData,
-    });
+      retries: UPLOAD_RETRIES,
+      ...uploadOptions,
+    }).then(invalidates(POST_QUERIES));
+  },
+
+  /**
+   * Get tags matching a prefix, most used first (for autocomplete)
+   * @param {string} query - Start of the tag name (optional)
+   * @param {number} limit - Maximum number of tags (default: 8)
+   * @returns {Promise<{tags: Array<{name: string, post_count: number}>}>}
+   */
+  getTags: async (query = '', limit = 8) => {
+    const params = new URLSearchParams({ limit });
+    if (query) {
+      params.set('search', query);
+    }
+    return apiRequest(`/api/tags?${params}`);
+  },
+
+  /**
+   * Get the saved revisions of a post, newest first
+   * @param {number|string} id - Post ID
+   * @returns {Promise<{revisions: Array<{id: number, title: string, content: string, created_at: string}>}>}
+   */
+  getRevisions: async (id) => {
+    if (!id) {
+      throw new Error('Post id is required');
+    }
+    return apiRequest(`/api/posts/${id}/revisions`);
+  },
+
+  /**
+   * Publish a draft or scheduled post right away
+   * @param {number|string} id - Post ID
+   * @returns {Promise<{message: string, post: Object}>}
+   */
+  publishNow: async (id) => {
+    return postsAPI.updatePost(id, { status: 'published', publishAt: new Date().toISOString() });
   },
 
   deletePost: async (id) => {
@@ -227,7 +695,157 @@ export const postsAPI = {
     }
     return apiRequest(`/api/posts/${id}`, {
       method: 'DELETE',
-    });
+    }).then(invalidates(POST_QUERIES));
+  },
+
+  /**
+   * Set the current user's reaction on a post, replacing any previous one
+   * @param {number|string} id - Post ID
+   * @param {string} reaction - 'like', 'love', 'laugh', 'wow' or 'sad'
+   * @returns {Promise<{reactions: Object<string, number>, my_reaction: string}>}
+   */
+  react: async (id, reaction) => {
+    if (!id) {
+      throw new Error('Post id is required');
+    }
+    if (!reaction) {
+      throw new Error('Reaction is required');
+    }
+    return apiRequest(`/api/posts/${id}/reactions`, {
+      method: 'PUT',
+      body: JSON.stringify({ reaction }),
+    }).then(invalidates(POST_LIST_QUERIES));
+  },
+
+  /**
+   * Remove the current user's reaction from a post
+   * @param {number|string} id - Post ID
+   * @returns {Promise<{reactions: Object<string, number>, my_reaction: null}>}
+   */
+  removeReaction: async (id) => {
+    if (!id) {
+      throw new Error('Post id is required');
+    }
+    return apiRequest(`/api/posts/${id}/reactions`, {
+      method: 'DELETE',
+    }).then(invalidates(POST_LIST_QUERIES));
+  },
+
+  /**
+   * Get posts the current user has reacted to, most recent reaction first
+   * @param {number} page - Page number (default: 1)
+   * @param {number} limit - Posts per page (default: 10)
+   * @returns {Promise<{posts: Array, pagination: Object}>}
+   */
+  getLikedPosts: async (page = 1, limit = 10) => {
+    return apiRequest(`/api/posts/liked?page=${page}&limit=${limit}`);
+  },
+
+  /**
+   * Get the current user's bookmarked posts, most recently saved first
+   * @param {number} page - Page number (default: 1)
+   * @param {number} limit - Posts per page (default: 10)
+   * @returns {Promise<{posts: Array, pagination: Object}>}
+   */
+  getBookmarks: async (page = 1, limit = 10) => {
+    return apiRequest(`/api/bookmarks?page=${page}&limit=${limit}`);
+  },
+
+  /**
+   * Bookmark a post for the current user
+   * @param {number|string} id - Post ID
+   */
+  bookmarkPost: async (id) => {
+    if (!id) {
+      throw new Error('Post id is required');
+    }
+    return apiRequest('/api/bookmarks', {
+      method: 'POST',
+      body: JSON.stringify({ post_id: id }),
+    }).then(invalidates(POST_LIST_QUERIES));
+  },
+
+  /**
+   * Remove a post from the current user's bookmarks
+   * @param {number|string} id - Post ID
+   */
+  removeBookmark: async (id) => {
+    if (!id) {
+      throw new Error('Post id is required');
+    }
+    return apiRequest(`/api/bookmarks/${id}`, {
+      method: 'DELETE',
+    }).then(invalidates(POST_LIST_QUERIES));
+  },
+};
+
+// Comments API functions
+export const commentsAPI = {
+  /**
+   * Get a page of top-level comments on a post, each with its replies
+   * @param {number|string} postId - Post ID
+   * @param {number} page - Page number (default: 1)
+   * @param {number} limit - Top-level comments per page (default: 20)
+   * @returns {Promise<{comments: Array, pagination: Object}>}
+   */
+  list: async (postId, page = 1, limit = 20) => {
+    if (!postId) {
+      throw new Error('Post id is required');
+    }
+    return apiRequest(`/api/posts/${postId}/comments?page=${page}&limit=${limit}`);
+  },
+
+  /**
+   * Add a comment to a post, or reply to an existing comment
+   * @param {number|string} postId - Post ID
+   * @param {Object} payload
+   * @param {string} payload.content - Comment text (required)
+   * @param {number|null} payload.parentId - Comment being replied to (optional)
+   * @returns {Promise<{message: string, comment: Object}>}
+   */
+  create: async (postId, { content, parentId = null }) => {
+    if (!postId) {
+      throw new Error('Post id is required');
+    }
+    if (!content?.trim()) {
+      throw new Error('Comment cannot be empty');
+    }
+    return apiRequest(`/api/posts/${postId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ content, parent_id: parentId }),
+    }).then(invalidates(['comments:', ...POST_LIST_QUERIES]));
+  },
+
+  /**
+   * Edit one of the current user's comments
+   * @param {number|string} commentId - Comment ID
+   * @param {string} content - Updated text
+   * @returns {Promise<{message: string, comment: Object}>}
+   */
+  update: async (commentId, content) => {
+    if (!commentId) {
+      throw new Error('Comment id is required');
+    }
+    if (!content?.trim()) {
+      throw new Error('Comment cannot be empty');
+    }
+    return apiRequest(`/api/comments/${commentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ content }),
+    }).then(invalidates(['comments:']));
+  },
+
+  /**
+   * Delete one of the current user's comments (and its replies)
+   * @param {number|string} commentId - Comment ID
+   */
+  remove: async (commentId) => {
+    if (!commentId) {
+      throw new Error('Comment id is required');
+    }
+    return apiRequest(`/api/comments/${commentId}`, {
+      method: 'DELETE',
+    }).then(invalidates(['comments:', ...POST_LIST_QUERIES]));
   },
 };
 
@@ -255,15 +873,16 @@ export const userAPI = {
     return apiRequest('/api/user/profile', {
       method: 'PUT',
       body: JSON.stringify(payload),
-    });
+    }).then(invalidates(PROFILE_QUERIES));
   },
 
   /**
    * Upload profile picture
    * @param {File} profilePicture - Image file (max 5MB, JPEG/PNG/GIF/WebP)
+   * @param {UploadOptions} [uploadOptions] - Progress, cancellation and retry callbacks
    * @returns {Promise<{message: string, user: Object}>}
    */
-  uploadProfilePicture: async (profilePicture) => {
+  uploadProfilePicture: async (profilePicture, uploadOptions = {}) => {
     if (!profilePicture) {
       throw new Error('Profile picture is required');
     }
@@ -274,7 +893,9 @@ export const userAPI = {
     return apiRequest('/api/user/profile-picture', {
       method: 'POST',
       body: formData,
-    });
+      retries: UPLOAD_RETRIES,
+      ...uploadOptions,
+    }).then(invalidates(PROFILE_QUERIES));
   },
 
   /**
@@ -284,29 +905,88 @@ export const userAPI = {
   removeProfilePicture: async () => {
     return apiRequest('/api/user/profile-picture', {
       method: 'DELETE',
-    });
+    }).then(invalidates(PROFILE_QUERIES));
   },
 
   /**
    * Get current user's posts
    * @param {number} page - Page number (default: 1)
    * @param {number} limit - Posts per page (default: 10)
+   * @param {string} status - Only posts with this status: 'published', 'scheduled' or 'draft' (optional)
    * @returns {Promise<{posts: Array, pagination: Object}>}
    */
-  getUserPosts: async (page = 1, limit = 10) => {
-    return apiRequest(`/api/user/posts?page=${page}&limit=${limit}`);
+  getUserPosts: async (page = 1, limit = 10, status) => {
+    const params = new URLSearchParams({ page, limit });
+    if (status) {
+      params.set('status', status);
+    }
+    return apiRequest(`/api/user/posts?${params}`);
+  },
+
+  /**
+   * Get a user's public profile
+   * @param {string} username - Username of the author
+   * @returns {Promise<{id: number, username: string, profile_picture_url: string|null, bio: string|null, created_at: string, post_count: number, follower_count: number, following_count: number, is_following: boolean}>}
+   */
+  getPublicProfile: async (username) => {
+    if (!username) {
+      throw new Error('Username is required');
+    }
+    return apiRequest(`/api/users/${encodeURIComponent(username)}`);
+  },
+
+  /**
+   * Get posts written by a user
+   * @param {string} username - Username of the author
+   * @param {number} page - Page number (default: 1)
+   * @param {number} limit - Posts per page (default: 10)
+   * @returns {Promise<{posts: Array, pagination: Object}>}
+   */
+  getPostsByUser: async (username, page = 1, limit = 10) => {
+    if (!username) {
+      throw new Error('Username is required');
+    }
+    return apiRequest(`/api/users/${encodeURIComponent(username)}/posts?page=${page}&limit=${limit}`);
+  },
+
+  /**
+   * Follow an author
+   * @param {string} username - Username of the author to follow
+   * @returns {Promise<{message: string, follower_count: number}>}
+   */
+  followUser: async (username) => {
+    if (!username) {
+      throw new Error('Username is required');
+    }
+    return apiRequest(`/api/users/${encodeURIComponent(username)}/follow`, {
+      method: 'POST',
+    }).then(invalidates(FOLLOW_QUERIES));
+  },
+
+  /**
+   * Stop following an author
+   * @param {string} username - Username of the author to unfollow
+   * @returns {Promise<{message: string, follower_count: number}>}
+   */
+  unfollowUser: async (username) => {
+    if (!username) {
+      throw new Error('Username is required');
+    }
+    return apiRequest(`/api/users/${encodeURIComponent(username)}/follow`, {
+      method: 'DELETE',
+    }).then(invalidates(FOLLOW_QUERIES));
   },
 
   /**
    * Get user statistics
-   * @returns {Promise<{total_posts: number, latest_post_date: string|null}>}
+   * @returns {Promise<{total_posts: number, latest_post_date: string|null, follower_count: number, following_count: number}>}
    */
   getUserStats: async () => {
     return apiRequest('/api/user/stats');
   },
 };
 
-// Health check
+// Health check, polled by services/health while the server can't be reached
 export const healthCheck = async () => {
   return apiRequest('/health');
 };
@@ -322,4 +1002,4 @@ export const getImageUrl = (imagePath) => {
   return `${API_BASE_URL}${imagePath}`;
 };
 
-export { getToken, setToken, removeToken };
+export { getToken, setToken, removeToken, getRefreshToken, API_BASE_URL };
@@ -0,0 +1,153 @@
+import { postsAPI } from './api';
+import { NotFoundError } from './errors';
+import { queryCache } from './queryCache';
+
+// Bookmarks are stored by the backend when it supports them. If the bookmark
+// list endpoint returns 404 they are kept per user in localStorage instead,
+// with a copy of each post so the reading list can be shown without
+// refetching. A 404 from adding or removing one is an ordinary error (the post
+// is gone, or the bookmark was already removed) and doesn't change this.
+
+const storageKey = (userId) => `bookmarks:${userId}`;
+
+// Whether the backend keeps bookmarks: null until its list endpoint has
+// answered, then true, or false if that returned 404
+let backendSupport = null;
+let detectPromise = null;
+
+const readLocal = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeLocal = (userId, bookmarks) => {
+  if (bookmarks.length === 0) {
+    localStorage.removeItem(storageKey(userId));
+  } else {
+    localStorage.setItem(storageKey(userId), JSON.stringify(bookmarks));
+  }
+};
+
+// Keep only what a post card needs
+const toBookmark = (post) => ({
+  id: post.id,
+  title: post.title,
+  content: post.content,
+  image_url: post.image_url || null,
+  images: post.images || [],
+  author_name: post.author_name || null,
+  created_at: post.created_at,
+  bookmarked_at: new Date().toISOString(),
+});
+
+// Fetch a page of bookmarks from the backend, learning from the answer
+// whether it keeps them. Resolves to null once it turns out it doesn't.
+const listFromBackend = async (page, limit) => {
+  try {
+    const data = await postsAPI.getBookmarks(page, limit);
+    backendSupport = true;
+    return data;
+  } catch (err) {
+    if (backendSupport === null && err instanceof NotFoundError) {
+      backendSupport = false;
+      return null;
+    }
+    throw err;
+  }
+};
+
+const detectBackend = () => {
+  if (backendSupport !== null) {
+    return Promise.resolve(backendSupport);
+  }
+  if (!detectPromise) {
+    detectPromise = listFromBackend(1, 1)
+      .then(() => backendSupport)
+      .finally(() => {
+        detectPromise = null;
+      });
+  }
+  return detectPromise;
+};
+
+const withFallback = async (request, fallback) => ((await detectBackend()) ? request() : fallback());
+
+const listLocal = (userId, page, limit) => {
+  const bookmarks = readLocal(userId);
+  const totalPages = Math.max(Math.ceil(bookmarks.length / limit), 1);
+  return {
+    posts: bookmarks.slice((page - 1) * limit, page * limit),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalPosts: bookmarks.length,
+      hasNextPage: page < totalPages,
+      hasPreviousPage: page > 1,
+    },
+  };
+};
+
+export const bookmarksAPI = {
+  /**
+   * Whether a post is bookmarked. Uses the flag the backend puts on posts and
+   * falls back to the locally stored bookmarks.
+   * @param {number|string} userId
+   * @param {Object} post
+   * @returns {boolean}
+   */
+  isBookmarked: (userId, post) => {
+    if (typeof post.bookmarked === 'boolean') {
+      return post.bookmarked;
+    }
+    return readLocal(userId).some((bookmark) => bookmark.id === post.id);
+  },
+
+  /**
+   * Get a page of the user's bookmarked posts, most recently saved first
+   * @param {number|string} userId
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<{posts: Array, pagination: Object}>}
+   */
+  list: async (userId, page = 1, limit = 10) => {
+    if (backendSupport !== false) {
+      const data = await listFromBackend(page, limit);
+      if (data) {
+        return data;
+      }
+    }
+    return listLocal(userId, page, limit);
+  },
+
+  /**
+   * Bookmark a post
+   * @param {number|string} userId
+   * @param {Object} post
+   */
+  add: (userId, post) =>
+    withFallback(
+      () => postsAPI.bookmarkPost(post.id),
+      () => {
+        const bookmarks = readLocal(userId).filter((bookmark) => bookmark.id !== post.id);
+        writeLocal(userId, [toBookmark(post), ...bookmarks]);
+        queryCache.invalidate('bookmarks');
+      }
+    ),
+
+  /**
+   * Remove a post from the user's bookmarks
+   * @param {number|string} userId
+   * @param {number|string} postId
+   */
+  remove: (userId, postId) =>
+    withFallback(
+      () => postsAPI.removeBookmark(postId),
+      () => {
+        writeLocal(userId, readLocal(userId).filter((bookmark) => bookmark.id !== postId));
+        queryCache.invalidate('bookmarks');
+      }
+    ),
+};
@@ -0,0 +1,146 @@
+import { idbGet, idbPut, idbDelete } from './idb';
+
+// Post drafts are kept per user. Text lives in localStorage so it can be read
+// synchronously; the image list (which holds Files) is stored in IndexedDB.
+
+const IMAGE_STORE = 'draftImages';
+
+// Draft key for the "New Post" form
+export const NEW_POST_DRAFT = 'new';
+
+// Draft key for the edit form of an existing post
+export const editPostDraftKey = (postId) => `post-${postId}`;
+
+const storageKey = (userId) => `drafts:${userId}`;
+const imageKey = (userId, draftKey) => `${userId}:${draftKey}`;
+
+const draftEvents = new EventTarget();
+const DRAFTS_CHANGED_EVENT = 'drafts:changed';
+
+const readDrafts = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeDrafts = (userId, drafts) => {
+  if (Object.keys(drafts).length === 0) {
+    localStorage.removeItem(storageKey(userId));
+  } else {
+    localStorage.setItem(storageKey(userId), JSON.stringify(drafts));
+  }
+  draftEvents.dispatchEvent(new Event(DRAFTS_CHANGED_EVENT));
+};
+
+/**
+ * Subscribe to changes in any user's drafts
+ * @param {() => void} handler
+ * @returns {() => void} Unsubscribe function
+ */
+export const onDraftsChanged = (handler) => {
+  draftEvents.addEventListener(DRAFTS_CHANGED_EVENT, handler);
+  return () => draftEvents.removeEventListener(DRAFTS_CHANGED_EVENT, handler);
+};
+
+export const draftsAPI = {
+  /**
+   * List a user's drafts, most recently saved first
+   * @param {number|string} userId
+   * @returns {Array<{key: string, postId: number|null, title: string, content: string, tags: string[], imageCount: number, updatedAt: string}>}
+   */
+  list: (userId) => {
+    return Object.values(readDrafts(userId)).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  },
+
+  /**
+   * Get a single draft, including its images if any were saved
+   * @param {number|string} userId
+   * @param {string} draftKey - NEW_POST_DRAFT or editPostDraftKey(id)
+   * @returns {Promise<Object|null>} Draft with an `images` list (or null if none were saved), or null if there is no draft
+   */
+  get: async (userId, draftKey) => {
+    const draft = readDrafts(userId)[draftKey];
+    if (!draft) {
+      return null;
+    }
+
+    let images = null;
+    if (draft.imageCount) {
+      try {
+        images = (await idbGet(IMAGE_STORE, imageKey(userId, draftKey))) || null;
+      } catch (error) {
+        console.error('Failed to load draft images:', error);
+      }
+    }
+
+    return { ...draft, images };
+  },
+
+  /**
+   * Save a draft. Pass `images: undefined` to leave previously saved images untouched.
+   * @param {number|string} userId
+   * @param {string} draftKey
+   * @param {Object} draft
+   * @param {string} draft.title
+   * @param {string} draft.content
+   * @param {string[]} [draft.tags]
+   * @param {Array<Object>|null} [draft.images] - Image form items, see utils/images
+   * @param {number|null} [draft.postId] - Post being edited, if any
+   */
+  save: async (userId, draftKey, { title, content, tags = [], images, postId = null }) => {
+    const drafts = readDrafts(userId);
+    const previous = drafts[draftKey];
+    let imageCount = previous?.imageCount ?? 0;
+
+    if (images !== undefined) {
+      try {
+        if (images?.length) {
+          await idbPut(IMAGE_STORE, imageKey(userId, draftKey), images);
+        } else {
+          await idbDelete(IMAGE_STORE, imageKey(userId, draftKey));
+        }
+        imageCount = images?.length || 0;
+      } catch (error) {
+        // Keep the text even if the images can't be stored
+        console.error('Failed to save draft images:', error);
+        imageCount = 0;
+      }
+    }
+
+    // Re-read in case another save finished while the image was being written
+    const latest = readDrafts(userId);
+    latest[draftKey] = {
+      key: draftKey,
+      postId,
+      title,
+      content,
+      tags,
+      imageCount,
+      updatedAt: new Date().toISOString(),
+    };
+    writeDrafts(userId, latest);
+  },
+
+  /**
+   * Delete a draft and its images
+   * @param {number|string} userId
+   * @param {string} draftKey
+   */
+  remove: async (userId, draftKey) => {
+    const drafts = readDrafts(userId);
+    const hadImages = drafts[draftKey]?.imageCount;
+    if (drafts[draftKey]) {
+      delete drafts[draftKey];
+      writeDrafts(userId, drafts);
+    }
+    if (hadImages) {
+      try {
+        await idbDelete(IMAGE_STORE, imageKey(userId, draftKey));
+      } catch (error) {
+        console.error('Failed to delete draft images:', error);
+      }
+    }
+  },
+};
@@ -0,0 +1,154 @@
+// Errors thrown by apiRequest. Every failure is an ApiError; the subclasses
+// say what kind it was, so callers check `instanceof` instead of matching
+// messages:
+// - NetworkError: the server could not be reached (offline, or backend down)
+// - AuthError: 401, the session is missing or expired
+// - ForbiddenError: 403, signed in but not allowed to do this
+// - ValidationError: 400/409/422, with per-field messages in `fields`
+// - NotFoundError: 404
+// - ServerError: 5xx, or a response that could not be read
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status, if the server answered
+   * @param {Object} [details.data] - Parsed response body
+   * @param {string} [details.endpoint]
+   */
+  constructor(message, { status, data, endpoint } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.endpoint = endpoint;
+  }
+}
+
+export class NetworkError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - As for ApiError, plus:
+   * @param {boolean} [details.bodySent] - false when the request is known not
+   *   to have gone out; undefined when the server may have received it
+   */
+  constructor(message, { bodySent, ...details } = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.bodySent = bodySent;
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+export class ForbiddenError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+}
+
+export class ValidationError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - As for ApiError, plus:
+   * @param {Object<string, string>} [details.fields] - Message per form field (camelCase names)
+   */
+  constructor(message, { fields, ...details } = {}) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.fields = fields ?? parseFieldErrors(details.data);
+  }
+}
+
+// Backends name fields in snake_case; the forms use camelCase
+const toCamelCase = (name) => name.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+/**
+ * Read per-field messages from an error response. Accepts a list such as
+ * [{ field | path | param, message | msg }] or an object of field -> message(s),
+ * under `errors`, `details` or `fields`.
+ * @param {Object} data
+ * @returns {Object<string, string>}
+ */
+const parseFieldErrors = (data) => {
+  const errors = data?.errors ?? data?.details ?? data?.fields;
+  const fields = {};
+
+  if (Array.isArray(errors)) {
+    errors.forEach((item) => {
+      const path = item?.field ?? item?.path ?? item?.param;
+      const field = Array.isArray(path) ? path.join('.') : path;
+      const message = item?.message ?? item?.msg;
+      if (field && message && !fields[toCamelCase(field)]) {
+        fields[toCamelCase(field)] = message;
+      }
+    });
+  } else if (errors && typeof errors === 'object') {
+    Object.entries(errors).forEach(([field, message]) => {
+      const text = Array.isArray(message) ? message[0] : message;
+      if (text) {
+        fields[toCamelCase(field)] = String(text);
+      }
+    });
+  }
+
+  return fields;
+};
+
+/**
+ * The error for a failed response, by status
+ * @param {Object} details
+ * @param {number} details.status
+ * @param {string} details.message
+ * @param {Object} [details.data]
+ * @param {string} [details.endpoint]
+ * @returns {ApiError}
+ */
+export const createApiError = ({ status, message, data, endpoint }) => {
+  const details = { status, data, endpoint };
+  if (status === 400 || status === 409 || status === 422) {
+    return new ValidationError(message, details);
+  }
+  if (status === 403) {
+    return new ForbiddenError(message, details);
+  }
+  if (status === 401) {
+    return new AuthError(message, details);
+  }
+  if (status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (status >= 500) {
+    return new ServerError(message, details);
+  }
+  return new ApiError(message, details);
+};
+
+/**
+ * The message for one form field, if the error has one
+ * @param {Error|string|null} error
+ * @param {string} field
+ * @returns {string}
+ */
+export const getFieldError = (error, field) =>
+  error instanceof ValidationError ? error.fields[field] || '' : '';
@@ -0,0 +1,109 @@
+import { healthCheck, onNetworkError } from './api';
+import { NetworkError } from './errors';
+
+// Tracks whether the backend can be reached. When a request fails with a
+// network error the server is marked down and /health is polled, backing off
+// from INITIAL_DELAY up to MAX_DELAY, until it answers. Pages subscribe with
+// onServerRecovered to retry whatever failed while it was down.
+
+const INITIAL_DELAY = 2000;
+const MAX_DELAY = 60 * 1000;
+
+const RECOVERED_EVENT = 'health:recovered';
+const healthEvents = new EventTarget();
+const listeners = new Set();
+
+// Replaced on every change so React can compare it by reference
+let state = { status: 'up', checking: false, nextCheckAt: null };
+let delay = INITIAL_DELAY;
+let timer = null;
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener());
+};
+
+const check = async () => {
+  clearTimeout(timer);
+  timer = null;
+  setState({ checking: true, nextCheckAt: null });
+
+  try {
+    await healthCheck();
+  } catch (err) {
+    // Any answer, even an error, means the server is reachable again
+    if (err instanceof NetworkError) {
+      setState({ status: 'down', checking: false });
+      scheduleCheck();
+      return;
+    }
+  }
+
+  const recovered = state.status === 'down';
+  delay = INITIAL_DELAY;
+  setState({ status: 'up', checking: false });
+  if (recovered) {
+    healthEvents.dispatchEvent(new Event(RECOVERED_EVENT));
+  }
+};
+
+const scheduleCheck = () => {
+  clearTimeout(timer);
+  timer = setTimeout(check, delay);
+  setState({ nextCheckAt: Date.now() + delay });
+  delay = Math.min(delay * 2, MAX_DELAY);
+};
+
+const markDown = () => {
+  // Already polling (this includes the health checks' own failures)
+  if (state.status === 'down') return;
+  delay = INITIAL_DELAY;
+  setState({ status: 'down' });
+  scheduleCheck();
+};
+
+onNetworkError(markDown);
+
+if (typeof window !== 'undefined') {
+  // No point waiting out the backoff once the connection is back
+  window.addEventListener('online', () => {
+    if (state.status === 'down' && !state.checking) {
+      check();
+    }
+  });
+}
+
+/**
+ * Subscribe to the server becoming reachable again after being down
+ * @param {() => void} handler
+ * @returns {() => void} Unsubscribe function
+ */
+export const onServerRecovered = (handler) => {
+  healthEvents.addEventListener(RECOVERED_EVENT, handler);
+  return () => healthEvents.removeEventListener(RECOVERED_EVENT, handler);
+};
+
+export const serverHealth = {
+  /**
+   * Current state. `nextCheckAt` is when the next poll runs while down.
+   * @returns {{status: 'up'|'down', checking: boolean, nextCheckAt: number|null}}
+   */
+  getState: () => state,
+
+  /**
+   * Listen for state changes
+   * @param {() => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Poll right away instead of waiting for the next scheduled check
+  checkNow: () => {
+    if (!state.checking) {
+      check();
+    }
+  },
+};
@@ -0,0 +1,61 @@
+// Small promise wrapper around the app's IndexedDB database.
+// Add new object stores to STORES and bump DB_VERSION to create them.
+
+const DB_NAME = 'wordnest';
+const DB_VERSION = 2;
+const STORES = ['draftImages', 'outbox'];
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      STORES.forEach((store) => {
+        if (!db.objectStoreNames.contains(store)) {
+          db.createObjectStore(store);
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    // Allow a later call to retry opening the database
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+// Run a single request against one object store
+const withStore = async (store, mode, run) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, mode);
+    const request = run(transaction.objectStore(store));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const idbGet = (store, key) => withStore(store, 'readonly', (s) => s.get(key));
+
+export const idbGetAll = (store) => withStore(store, 'readonly', (s) => s.getAll());
+
+export const idbPut = (store, key, value) => withStore(store, 'readwrite', (s) => s.put(value, key));
+
+export const idbDelete = (store, key) => withStore(store, 'readwrite', (s) => s.delete(key));
@@ -0,0 +1,139 @@
+import { postsAPI } from './api';
+import { NetworkError } from './errors';
+import { idbGetAll, idbPut, idbDelete } from './idb';
+
+// Posts created or edited while the server can't be reached are queued in
+// IndexedDB, images included, and sent in order once the app is back online.
+// Entries that the server rejects stay in the outbox as failed until they are
+// retried or discarded.
+
+const STORE = 'outbox';
+
+const outboxEvents = new EventTarget();
+const OUTBOX_CHANGED_EVENT = 'outbox:changed';
+
+// The sync in progress for each user, so reconnecting twice doesn't send an
+// entry twice and a user who signs in mid-sync doesn't wait on someone else's
+const syncPromises = new Map();
+
+const notifyChanged = () => outboxEvents.dispatchEvent(new Event(OUTBOX_CHANGED_EVENT));
+
+const save = async (entry) => {
+  await idbPut(STORE, entry.id, entry);
+  notifyChanged();
+  return entry;
+};
+
+const send = (entry) =>
+  entry.type === 'create'
+    ? postsAPI.createPost(entry.payload)
+    : postsAPI.updatePost(entry.postId, entry.payload);
+
+const syncEntries = async (userId) => {
+  const entries = await outboxAPI.list(userId);
+  let synced = 0;
+
+  for (const entry of entries) {
+    if (entry.status === 'failed') continue;
+
+    await save({ ...entry, status: 'syncing', error: null });
+    try {
+      await send(entry);
+      await outboxAPI.remove(entry.id);
+      synced++;
+    } catch (err) {
+      if (err instanceof NetworkError) {
+        // Still offline; the rest waits for the next reconnect
+        await save({ ...entry, status: 'pending' });
+        break;
+      }
+      await save({ ...entry, status: 'failed', error: err.message || 'Failed to sync' });
+    }
+  }
+
+  return synced;
+};
+
+/**
+ * Subscribe to changes in the outbox
+ * @param {() => void} handler
+ * @returns {() => void} Unsubscribe function
+ */
+export const onOutboxChanged = (handler) => {
+  outboxEvents.addEventListener(OUTBOX_CHANGED_EVENT, handler);
+  return () => outboxEvents.removeEventListener(OUTBOX_CHANGED_EVENT, handler);
+};
+
+export const outboxAPI = {
+  /**
+   * List a user's queued changes, oldest first
+   * @param {number|string} userId
+   * @returns {Promise<Array<{id: string, type: 'create'|'update', postId: number|string|null, title: string, payload: Object, createdAt: string, status: 'pending'|'syncing'|'failed', error: string|null}>>}
+   */
+  list: async (userId) => {
+    const entries = await idbGetAll(STORE);
+    return entries
+      .filter((entry) => entry.userId === userId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  },
+
+  /**
+   * Queue a post to be created or updated once the server can be reached
+   * @param {number|string} userId
+   * @param {Object} change
+   * @param {'create'|'update'} change.type
+   * @param {number|string} [change.postId] - The post being updated
+   * @param {string} change.title - Shown in the outbox
+   * @param {Object} change.payload - What postsAPI.createPost or updatePost takes
+   * @returns {Promise<Object>} The new entry
+   */
+  add: (userId, { type, postId = null, title, payload }) =>
+    save({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      userId,
+      type,
+      postId,
+      title,
+      payload,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      error: null,
+    }),
+
+  /**
+   * Drop a queued change without sending it
+   * @param {string} id
+   */
+  remove: async (id) => {
+    await idbDelete(STORE, id);
+    notifyChanged();
+  },
+
+  /**
+   * Send a user's pending changes in order. Stops at the first one that
+   * can't reach the server.
+   * @param {number|string} userId
+   * @returns {Promise<number>} How many changes were sent
+   */
+  sync: (userId) => {
+    if (!syncPromises.has(userId)) {
+      syncPromises.set(
+        userId,
+        syncEntries(userId).finally(() => {
+          syncPromises.delete(userId);
+        })
+      );
+    }
+    return syncPromises.get(userId);
+  },
+
+  /**
+   * Try a failed change again
+   * @param {Object} entry
+   * @returns {Promise<number>}
+   */
+  retry: async (entry) => {
+    await save({ ...entry, status: 'pending', error: null });
+    return outboxAPI.sync(entry.userId);
+  },
+};
@@ -0,0 +1,143 @@
+// Shared cache for data read from the API, keyed by query (e.g. 'profile' or
+// 'posts?sort=newest#2'). Screens show what is cached straight away and
+// revalidate it in the background once it is older than its stale time.
+// Identical requests in flight are shared, and mutations in services/api
+// invalidate the queries they change (see useQuery for the React side).
+
+const DEFAULT_STALE_TIME = 30 * 1000;
+
+const EMPTY_ENTRY = {
+  data: undefined,
+  hasData: false,
+  error: null,
+  updatedAt: 0,
+  promise: null,
+  fetcher: null,
+};
+
+// Entries are replaced, never mutated, so React can compare them by reference
+const entries = new Map();
+const listeners = new Map();
+
+const notify = (key) => {
+  listeners.get(key)?.forEach((listener) => listener());
+};
+
+const setEntry = (key, changes) => {
+  entries.set(key, { ...EMPTY_ENTRY, ...entries.get(key), ...changes });
+  notify(key);
+};
+
+const isFresh = (entry, staleTime) => entry.hasData && Date.now() - entry.updatedAt < staleTime;
+
+/**
+ * Get a query's data, from the cache while it is fresh
+ * @param {string} key
+ * @param {() => Promise<*>} fetcher - Kept with the entry so invalidation can refetch it
+ * @param {Object} [options]
+ * @param {number} [options.staleTime] - How long data counts as fresh, in ms
+ * @param {boolean} [options.force] - Fetch even if fresh or already in flight
+ * @returns {Promise<*>}
+ */
+const fetchQuery = (key, fetcher, { staleTime = DEFAULT_STALE_TIME, force = false } = {}) => {
+  const entry = entries.get(key);
+  if (entry && !force) {
+    if (entry.promise) return entry.promise;
+    if (isFresh(entry, staleTime)) return Promise.resolve(entry.data);
+  }
+
+  // Only the latest request for a key may update it
+  const isLatest = () => entries.get(key)?.promise === promise;
+  const promise = fetcher().then(
+    (data) => {
+      if (isLatest()) {
+        setEntry(key, { data, hasData: true, error: null, updatedAt: Date.now(), promise: null });
+      }
+      return data;
+    },
+    (error) => {
+      if (isLatest()) {
+        setEntry(key, { error, promise: null });
+      }
+      throw error;
+    }
+  );
+  setEntry(key, { promise, fetcher });
+  return promise;
+};
+
+/**
+ * Mark every query whose key starts with one of the prefixes as stale.
+ * Queries on screen are refetched right away; the rest on their next use.
+ * @param {...string} prefixes
+ */
+const invalidate = (...prefixes) => {
+  entries.forEach((entry, key) => {
+    if (!prefixes.some((prefix) => key.startsWith(prefix))) return;
+
+    // A request already in flight may have started before the change
+    entries.set(key, { ...entry, updatedAt: 0, promise: null });
+    if (listeners.get(key)?.size && entry.fetcher) {
+      fetchQuery(key, entry.fetcher).catch(() => {
+        // Kept on the entry for its subscribers
+      });
+    } else {
+      notify(key);
+    }
+  });
+};
+
+export const queryCache = {
+  fetch: fetchQuery,
+  invalidate,
+
+  /**
+   * The cache entry for a key, if any
+   * @param {string} key
+   * @returns {{data: *, hasData: boolean, error: Error|null, updatedAt: number, promise: Promise|null}|undefined}
+   */
+  getEntry: (key) => entries.get(key),
+
+  /**
+   * Cached data for a key, fresh or not
+   * @param {string} key
+   * @returns {*}
+   */
+  peek: (key) => entries.get(key)?.data,
+
+  /**
+   * Replace a query's data, e.g. with the result of a mutation or an optimistic update
+   * @param {string} key
+   * @param {*|((data: *) => *)} update - New data, or a function of the current data
+   */
+  set: (key, update) => {
+    const data = typeof update === 'function' ? update(entries.get(key)?.data) : update;
+    setEntry(key, { data, hasData: true, error: null, updatedAt: Date.now() });
+  },
+
+  /**
+   * Listen for changes to one query
+   * @param {string} key
+   * @param {() => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe: (key, listener) => {
+    if (!listeners.has(key)) {
+      listeners.set(key, new Set());
+    }
+    listeners.get(key).add(listener);
+    return () => {
+      listeners.get(key)?.delete(listener);
+      if (listeners.get(key)?.size === 0) {
+        listeners.delete(key);
+      }
+    };
+  },
+
+  // Forget everything, e.g. when the user logs out
+  clear: () => {
+    const keys = [...entries.keys()];
+    entries.clear();
+    keys.forEach(notify);
+  },
+};
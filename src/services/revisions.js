@@ -0,0 +1,116 @@
+import { postsAPI } from './api';
+import { NotFoundError } from './errors';
+
+// Post revisions come from the backend when it keeps them. If the revisions
+// endpoint returns 404, the versions replaced by edits made in this browser
+// are kept per user in localStorage instead.
+
+const MAX_LOCAL_REVISIONS = 20;
+
+const storageKey = (userId) => `revisions:${userId}`;
+
+// null until the revisions endpoint has been tried; false once it returned 404
+let backendSupport = null;
+
+const readLocal = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || {};
+  } catch {
+    return {};
+  }
+};
+
+// A post's history as the backend has it, or null if the backend has no
+// revisions endpoint. The first answer settles backendSupport.
+const listFromBackend = async (postId) => {
+  try {
+    const data = await postsAPI.getRevisions(postId);
+    backendSupport = true;
+    return data.revisions || [];
+  } catch (err) {
+    if (backendSupport === null && err instanceof NotFoundError) {
+      backendSupport = false;
+      return null;
+    }
+    throw err;
+  }
+};
+
+const writeLocal = (userId, revisions) => {
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(revisions));
+  } catch (error) {
+    // History is best effort; a full storage quota must not block saving the post
+    console.error('Failed to save revision:', error);
+  }
+};
+
+export const revisionsAPI = {
+  /**
+   * Get a post's earlier versions, newest first (not including the current one)
+   * @param {number|string} userId
+   * @param {number|string} postId
+   * @returns {Promise<Array<{id: number|string, title: string, content: string, created_at: string}>>}
+   */
+  list: async (userId, postId) => {
+    if (backendSupport !== false) {
+      const revisions = await listFromBackend(postId);
+      if (revisions) {
+        return revisions;
+      }
+    }
+    return readLocal(userId)[postId] || [];
+  },
+
+  /**
+   * Keep the version of a post that an edit has just replaced. The first call
+   * asks the backend whether it keeps revisions itself; if so, nothing is
+   * stored locally. If it can't be reached, the version is kept locally
+   * rather than lost.
+   * @param {number|string} userId
+   * @param {Object} post - The post as it was before the edit
+   * @returns {Promise<void>}
+   */
+  record: async (userId, post) => {
+    if (!userId) {
+      return;
+    }
+    if (backendSupport === null) {
+      await listFromBackend(post.id).catch(() => {});
+    }
+    if (backendSupport) {
+      return;
+    }
+
+    const all = readLocal(userId);
+    const revisions = all[post.id] || [];
+    const latest = revisions[0];
+    if (latest && latest.title === post.title && latest.content === post.content) {
+      return;
+    }
+
+    all[post.id] = [
+      {
+        id: `local-${Date.now()}`,
+        title: post.title,
+        content: post.content,
+        created_at: post.updated_at || post.created_at,
+      },
+      ...revisions,
+    ].slice(0, MAX_LOCAL_REVISIONS);
+    writeLocal(userId, all);
+  },
+
+  /**
+   * Forget the local history of deleted posts
+   * @param {number|string} userId
+   * @param {Array<number|string>} postIds
+   */
+  removeForPosts: (userId, postIds) => {
+    const all = readLocal(userId);
+    if (postIds.some((id) => all[id])) {
+      postIds.forEach((id) => delete all[id]);
+      writeLocal(userId, all);
+    }
+  },
+};
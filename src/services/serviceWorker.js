@@ -0,0 +1,22 @@
+// Registers public/service-worker.js, which keeps the app shell, recently
+// viewed posts and their images available offline. Only production builds
+// use it; in development it would serve stale modules.
+
+const SCRIPT_URL = '/service-worker.js';
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SCRIPT_URL).catch((error) => {
+      console.error('Failed to register service worker:', error);
+    });
+  });
+};
+
+// Drop cached API responses, which belong to the user who is logging out
+export const clearOfflineData = () => {
+  navigator.serviceWorker?.controller?.postMessage({ type: 'clear-user-data' });
+};
@@ -0,0 +1,121 @@
+// Line-based text diff for the revision history, using the longest common
+// subsequence of lines. Very large changes fall back to "all removed, all added".
+
+const MAX_TABLE_SIZE = 2000000;
+
+const lcsDiff = (a, b) => {
+  const width = b.length + 1;
+  // lengths[i * width + j] = LCS length of a[i..] and b[j..]
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', value: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push({ type: 'removed', value: a[i++] });
+    } else {
+      ops.push({ type: 'added', value: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'removed', value: a[i++] });
+  while (j < b.length) ops.push({ type: 'added', value: b[j++] });
+  return ops;
+};
+
+/**
+ * Diff two texts line by line
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'equal'|'added'|'removed', value: string, oldLine: number|null, newLine: number|null}>}
+ */
+export const diffLines = (before = '', after = '') => {
+  const a = before.replace(/\r\n?/g, '\n').split('\n');
+  const b = after.replace(/\r\n?/g, '\n').split('\n');
+
+  // Unchanged lines at either end don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle =
+    (middleA.length + 1) * (middleB.length + 1) > MAX_TABLE_SIZE
+      ? [
+          ...middleA.map((value) => ({ type: 'removed', value })),
+          ...middleB.map((value) => ({ type: 'added', value })),
+        ]
+      : lcsDiff(middleA, middleB);
+
+  const ops = [
+    ...a.slice(0, start).map((value) => ({ type: 'equal', value })),
+    ...middle,
+    ...a.slice(endA).map((value) => ({ type: 'equal', value })),
+  ];
+
+  let oldLine = 1;
+  let newLine = 1;
+  return ops.map((op) => ({
+    ...op,
+    oldLine: op.type === 'added' ? null : oldLine++,
+    newLine: op.type === 'removed' ? null : newLine++,
+  }));
+};
+
+/**
+ * Arrange a line diff as rows for a side-by-side view, pairing each run of
+ * removed lines with the added lines that replaced them
+ * @param {ReturnType<typeof diffLines>} ops
+ * @returns {Array<{left: Object|null, right: Object|null}>}
+ */
+export const toSideBySide = (ops) => {
+  const rows = [];
+  let index = 0;
+
+  while (index < ops.length) {
+    if (ops[index].type === 'equal') {
+      rows.push({ left: ops[index], right: ops[index] });
+      index++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (index < ops.length && ops[index].type === 'removed') removed.push(ops[index++]);
+    while (index < ops.length && ops[index].type === 'added') added.push(ops[index++]);
+
+    for (let row = 0; row < Math.max(removed.length, added.length); row++) {
+      rows.push({ left: removed[row] || null, right: added[row] || null });
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Count added and removed lines
+ * @param {ReturnType<typeof diffLines>} ops
+ * @returns {{added: number, removed: number}}
+ */
+export const diffStats = (ops) => ({
+  added: ops.filter((op) => op.type === 'added').length,
+  removed: ops.filter((op) => op.type === 'removed').length,
+});
@@ -0,0 +1,156 @@
+import { MAX_IMAGE_SIZE } from './images';
+
+// Images are decoded, optionally cropped, downscaled and re-encoded on a
+// canvas before upload, so large photos fit under the upload limit. Drawing
+// to a canvas keeps only the pixels: EXIF data such as the camera and GPS
+// location is never copied into the file that is uploaded.
+
+// Longest side of a processed post image, and of an avatar
+export const MAX_IMAGE_DIMENSION = 2560;
+export const AVATAR_DIMENSION = 512;
+
+// Aspect ratios offered by the crop tool; avatars are always square
+export const CROP_ASPECTS = [
+  { label: 'Free', value: null },
+  { label: 'Square', value: 1 },
+  { label: '4:3', value: 4 / 3 },
+  { label: '16:9', value: 16 / 9 },
+];
+export const AVATAR_CROP_ASPECTS = [{ label: 'Square', value: 1 }];
+
+const QUALITY_STEPS = [0.9, 0.8, 0.7, 0.6];
+const SCALE_STEP = 0.75;
+const MIN_DIMENSION = 320;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+const readError = () =>
+  new Error('This image could not be read. It may be damaged or in an unsupported format.');
+
+// Decode with the EXIF orientation applied, as <img> displays it
+const loadImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Fall back to an <img> element below
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(readError());
+    };
+    image.src = url;
+  });
+};
+
+const draw = (source, area, scale, type) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(area.width * scale));
+  canvas.height = Math.max(1, Math.round(area.height * scale));
+
+  const context = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    // JPEG has no transparency; without a background it would turn black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, area.x, area.y, area.width, area.height, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const toBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(readError())), type, quality);
+  });
+
+// PNG stays PNG (it may be transparent) unless it is too large, GIFs are
+// only drawn when cropped and become a still PNG, everything else is JPEG
+// or WebP
+const outputTypeFor = (type) => {
+  if (type === 'image/png' || type === 'image/gif') return 'image/png';
+  if (type === 'image/webp') return 'image/webp';
+  return 'image/jpeg';
+};
+
+const renameFile = (name, type) => `${name.replace(/\.[^.]+$/, '') || 'image'}.${EXTENSIONS[type]}`;
+
+/**
+ * Prepare an image for upload: crop it, scale it down so its longest side is
+ * at most `maxDimension`, and re-encode it (lowering quality, then size, as
+ * needed) until it fits in `maxSize`. The result has no EXIF/GPS metadata.
+ * Uncropped GIFs are returned unchanged so animations keep working.
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {{x: number, y: number, width: number, height: number}} [options.crop] - In image pixels
+ * @param {number} [options.maxDimension]
+ * @param {number} [options.maxSize] - In bytes
+ * @returns {Promise<File>}
+ */
+export const processImage = async (
+  file,
+  { crop = null, maxDimension = MAX_IMAGE_DIMENSION, maxSize = MAX_IMAGE_SIZE } = {}
+) => {
+  if (file.type === 'image/gif' && !crop) {
+    if (file.size > maxSize) {
+      throw new Error('GIFs cannot be resized. Maximum size is 5MB.');
+    }
+    return file;
+  }
+
+  const source = await loadImage(file);
+  try {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const area = crop || { x: 0, y: 0, width, height };
+    let scale = Math.min(1, maxDimension / Math.max(area.width, area.height));
+    let type = outputTypeFor(file.type);
+
+    for (;;) {
+      const canvas = draw(source, area, scale, type);
+      const qualities = type === 'image/png' ? [undefined] : QUALITY_STEPS;
+      let unsupported = false;
+
+      for (const quality of qualities) {
+        const blob = await toBlob(canvas, type, quality);
+        // Browsers fall back to PNG for types they can't encode (e.g. WebP in older Safari)
+        if (blob.type !== type && type !== 'image/jpeg') {
+          unsupported = true;
+          break;
+        }
+        if (blob.size <= maxSize) {
+          return new File([blob], renameFile(file.name, type), { type, lastModified: Date.now() });
+        }
+      }
+
+      if (unsupported) {
+        type = 'image/jpeg';
+        continue;
+      }
+      if (type === 'image/png') {
+        // Lossless PNG can't trade quality for size; WebP keeps transparency
+        type = 'image/webp';
+        continue;
+      }
+      if (Math.max(area.width, area.height) * scale * SCALE_STEP < MIN_DIMENSION) {
+        throw new Error('This image could not be made small enough to upload.');
+      }
+      scale *= SCALE_STEP;
+    }
+  } finally {
+    source.close?.();
+  }
+};
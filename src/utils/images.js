@@ -0,0 +1,97 @@
+// Posts can have a gallery of images. In forms each image is an item:
+// { key, alt } plus either { id, url } for an image already on the server
+// or { file } for a new upload.
+
+export const MAX_POST_IMAGES = 10;
+// Upload limit. Larger photos are scaled down to fit (see utils/imageProcessing),
+// up to a limit on what is worth decoding in the browser.
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+export const MAX_SOURCE_IMAGE_SIZE = 40 * 1024 * 1024;
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+export const IMAGE_ACCEPT = ALLOWED_IMAGE_TYPES.join(',');
+
+let nextItemId = 0;
+
+/**
+ * Check an image before it is added to a post
+ * @param {File} file
+ * @returns {string} An error message, or '' if the file can be uploaded
+ */
+export const validateImageFile = (file) => {
+  if (!ALLOWED_IMAGE_TYPES.includes(file.type)) {
+    return 'Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.';
+  }
+  if (file.type === 'image/gif' && file.size > MAX_IMAGE_SIZE) {
+    return 'GIFs cannot be resized. Maximum size is 5MB.';
+  }
+  if (file.size > MAX_SOURCE_IMAGE_SIZE) {
+    return 'File too large. Maximum size is 40MB.';
+  }
+  return '';
+};
+
+/**
+ * Read a post's images in display order. Posts from before galleries only
+ * have a single `image_url`.
+ * @param {Object} post
+ * @returns {Array<{id: number|string|null, url: string, alt: string}>}
+ */
+export const getPostImages = (post) => {
+  if (Array.isArray(post?.images) && post.images.length > 0) {
+    return [...post.images]
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+      .map((image) => ({
+        id: image.id ?? null,
+        url: image.url || image.image_url,
+        alt: image.alt ?? image.alt_text ?? '',
+      }))
+      .filter((image) => image.url);
+  }
+  return post?.image_url ? [{ id: null, url: post.image_url, alt: '' }] : [];
+};
+
+/**
+ * Form item for a newly picked file
+ * @param {File} file
+ * @returns {{key: string, file: File, alt: string}}
+ */
+export const createImageItem = (file) => ({ key: `new-${Date.now()}-${nextItemId++}`, file, alt: '' });
+
+/**
+ * Form items for the images a post already has
+ * @param {Object} post
+ * @returns {Array<{key: string, id: number|string|null, url: string, alt: string}>}
+ */
+export const imageItemsFromPost = (post) =>
+  getPostImages(post).map((image, index) => ({ key: `existing-${image.id ?? index}`, ...image }));
+
+/**
+ * Whether form items describe exactly the images a post already has
+ * @param {Array<Object>} items
+ * @param {Object} post
+ * @returns {boolean}
+ */
+export const sameImages = (items, post) => {
+  const images = getPostImages(post);
+  return (
+    items.length === images.length &&
+    items.every(
+      (item, index) =>
+        !item.file && item.url === images[index].url && (item.alt || '') === images[index].alt
+    )
+  );
+};
+
+/**
+ * Move one entry of a list to a new position
+ * @param {Array} list
+ * @param {number} from
+ * @param {number} to
+ * @returns {Array} A new list
+ */
+export const moveItem = (list, from, to) => {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
@@ -0,0 +1,304 @@
+// Minimal Markdown parser for post content.
+// Produces a plain node tree that is rendered as React elements, so raw HTML
+// in the source is never interpreted - it is shown as text.
+
+const FENCE = /^```\s*([\w+-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*(\d+)[.)]\s+(.*)$/;
+
+// What goes between the parentheses of a link: the URL and an optional title
+const LINK_TARGET = /^\s*([^\s)]+)(?:\s+"[^"]*")?\s*$/;
+
+// Excerpts only need the start of a post; this also bounds the work done for
+// every card in a list
+const EXCERPT_SOURCE_LENGTH = 2000;
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Return the href if it is safe to render as a link, otherwise null.
+ * Allows http(s) and mailto URLs plus same-site relative paths and anchors.
+ * @param {string} href
+ * @returns {string|null}
+ */
+export const sanitizeHref = (href) => {
+  const trimmed = href.trim();
+  if (trimmed.startsWith('#')) {
+    return trimmed;
+  }
+  if (trimmed.startsWith('/')) {
+    // "//host" and "/\host" are treated as protocol-relative by browsers
+    return trimmed.startsWith('//') || trimmed.startsWith('/\\') ? null : trimmed;
+  }
+  try {
+    const url = new URL(trimmed);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// Where a code span opened by `length` backticks closes: the next run of
+// exactly that many backticks at or after `from`, or -1
+const findCodeClose = (text, from, length) => {
+  let start = text.indexOf('`', from);
+  while (start !== -1) {
+    let end = start;
+    while (text[end] === '`') end++;
+    if (end - start === length) {
+      return start;
+    }
+    start = text.indexOf('`', end);
+  }
+  return -1;
+};
+
+// Where bold or italic closes: the next delimiter right after a non-space
+// character, at or after `from`, or -1
+const findEmphasisClose = (text, from, delimiter) => {
+  let index = text.indexOf(delimiter, from);
+  while (index !== -1 && /\s/.test(text[index - 1])) {
+    index = text.indexOf(delimiter, index + 1);
+  }
+  return index;
+};
+
+// indexOf for positions that only move forward, remembering the last answer
+// so a run of unmatched openers doesn't scan the rest of the text each time
+const createFinder = (text, char) => {
+  let found = null;
+  return (from) => {
+    if (found === null || (found !== -1 && found < from)) {
+      found = text.indexOf(char, from);
+    }
+    return found;
+  };
+};
+
+/**
+ * Parse inline Markdown (code, links, bold, italic) within a block of text.
+ * A single left-to-right scan: each opener looks for its closer with indexOf,
+ * and a delimiter that had no closer is not searched for again, so crafted
+ * input can't make parsing slow.
+ * @param {string} text
+ * @returns {Array<Object>} Inline nodes
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  // Delimiters known to have no closer in the rest of the text
+  const unclosed = new Set();
+  const findBracket = createFinder(text, ']');
+  const findParen = createFinder(text, ')');
+  let textStart = 0;
+  let i = 0;
+
+  const matchLink = () => {
+    const close = findBracket(i + 1);
+    if (close <= i + 1 || text[close + 1] !== '(') return null;
+    const end = findParen(close + 2);
+    const target = end === -1 ? null : LINK_TARGET.exec(text.slice(close + 2, end));
+    if (!target) return null;
+
+    const href = sanitizeHref(target[1]);
+    return {
+      node: href
+        ? { type: 'link', href, children: parseInline(text.slice(i + 1, close)) }
+        : { type: 'text', value: text.slice(i, end + 1) },
+      end: end + 1,
+    };
+  };
+
+  const matchEmphasis = (delimiter) => {
+    const start = i + delimiter.length;
+    if (unclosed.has(delimiter) || start >= text.length || /\s/.test(text[start])) return null;
+    const close = findEmphasisClose(text, start + 1, delimiter);
+    if (close === -1) {
+      unclosed.add(delimiter);
+      return null;
+    }
+    return {
+      node: { type: delimiter.length === 2 ? 'strong' : 'em', children: parseInline(text.slice(start, close)) },
+      end: close + delimiter.length,
+    };
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    let match = null;
+
+    if (char === '`') {
+      let start = i;
+      while (text[start] === '`') start++;
+      const length = start - i;
+      const close = unclosed.has(`code:${length}`) ? -1 : findCodeClose(text, start, length);
+      if (close === -1) {
+        // Not a code span; none of these backticks open one
+        unclosed.add(`code:${length}`);
+        i = start;
+        continue;
+      }
+      match = { node: { type: 'code', value: text.slice(start, close).trim() }, end: close + length };
+    } else if (char === '[') {
+      match = matchLink();
+    } else if (char === '*' || char === '_') {
+      match = (text[i + 1] === char && matchEmphasis(char + char)) || matchEmphasis(char);
+    }
+
+    if (!match) {
+      i++;
+      continue;
+    }
+    if (i > textStart) {
+      nodes.push({ type: 'text', value: text.slice(textStart, i) });
+    }
+    nodes.push(match.node);
+    i = textStart = match.end;
+  }
+
+  if (textStart < text.length) {
+    nodes.push({ type: 'text', value: text.slice(textStart) });
+  }
+  return nodes;
+};
+
+// Join paragraph lines, keeping single newlines as line breaks
+const parseLines = (lines) => {
+  const nodes = [];
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      nodes.push({ type: 'break' });
+    }
+    nodes.push(...parseInline(line));
+  });
+  return nodes;
+};
+
+const isBlockStart = (line) =>
+  FENCE.test(line) ||
+  HEADING.test(line) ||
+  RULE.test(line) ||
+  QUOTE.test(line) ||
+  BULLET_ITEM.test(line) ||
+  ORDERED_ITEM.test(line);
+
+/**
+ * Parse Markdown source into block nodes
+ * Supports headings, paragraphs, bulleted and numbered lists, fenced code
+ * blocks, blockquotes, horizontal rules, and inline code/links/bold/italic.
+ * @param {string} source
+ * @returns {Array<Object>} Block nodes
+ */
+export const parseMarkdown = (source = '') => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !/^```\s*$/.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++; // Skip the closing fence (or run off the end if it was never closed)
+      blocks.push({ type: 'codeBlock', language: fence[1] || null, value: codeLines.join('\n') });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoteLines.push(QUOTE.exec(lines[i])[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseMarkdown(quoteLines.join('\n')) });
+      continue;
+    }
+
+    const ordered = ORDERED_ITEM.exec(line);
+    if (ordered || BULLET_ITEM.test(line)) {
+      const pattern = ordered ? ORDERED_ITEM : BULLET_ITEM;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        const match = pattern.exec(lines[i]);
+        items.push(parseInline(ordered ? match[2] : match[1]));
+        i++;
+      }
+      blocks.push({
+        type: 'list',
+        ordered: Boolean(ordered),
+        start: ordered ? Number(ordered[1]) : null,
+        items,
+      });
+      continue;
+    }
+
+    const paragraphLines = [];
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+      paragraphLines.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: 'paragraph', children: parseLines(paragraphLines) });
+  }
+
+  return blocks;
+};
+
+/**
+ * Strip Markdown syntax for plain-text excerpts (e.g. post cards). Only the
+ * first EXCERPT_SOURCE_LENGTH characters of the source are used.
+ * @param {string} source
+ * @returns {string}
+ */
+export const stripMarkdown = (source = '') => {
+  const flatten = (nodes) =>
+    nodes
+      .map((node) => {
+        if (node.type === 'text' || node.type === 'code') return node.value;
+        if (node.type === 'break') return ' ';
+        return flatten(node.children || []);
+      })
+      .join('');
+
+  const blockText = (block) => {
+    switch (block.type) {
+      case 'codeBlock':
+        return block.value;
+      case 'list':
+        return block.items.map(flatten).join(' ');
+      case 'blockquote':
+        return block.children.map(blockText).join(' ');
+      case 'rule':
+        return '';
+      default:
+        return flatten(block.children);
+    }
+  };
+
+  return parseMarkdown(source.slice(0, EXCERPT_SOURCE_LENGTH)).map(blockText).filter(Boolean).join(' ');
+};
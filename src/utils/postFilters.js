@@ -0,0 +1,60 @@
+
+// Feed filters and the URL query param each one is stored in
+export const EMPTY_FILTERS = {
+  search: '',
+  author: '',
+  from: '',
+  to: '',
+  hasImage: false,
+};
+
+const PARAM_NAMES = {
+  search: 'q',
+  author: 'author',
+  from: 'from',
+  to: 'to',
+  hasImage: 'hasImage',
+};
+
+/**
+ * Read feed filters from URL search params
+ * @param {URLSearchParams} searchParams
+ * @returns {typeof EMPTY_FILTERS}
+ */
+export const filtersFromParams = (searchParams) => ({
+  search: searchParams.get(PARAM_NAMES.search) || '',
+  author: searchParams.get(PARAM_NAMES.author) || '',
+  from: searchParams.get(PARAM_NAMES.from) || '',
+  to: searchParams.get(PARAM_NAMES.to) || '',
+  hasImage: searchParams.get(PARAM_NAMES.hasImage) === 'true',
+});
+
+/**
+ * Write feed filters into URL search params, leaving unrelated params alone.
+ * Empty filters are removed so the URL stays short.
+ * @param {URLSearchParams} searchParams
+ * @param {typeof EMPTY_FILTERS} filters
+ * @returns {URLSearchParams} A new params object
+ */
+export const applyFiltersToParams = (searchParams, filters) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(PARAM_NAMES).forEach(([key, param]) => {
+    const value = key === 'hasImage' ? (filters.hasImage ? 'true' : '') : filters[key].trim();
+    if (value) {
+      next.set(param, value);
+    } else {
+      next.delete(param);
+    }
+  });
+  return next;
+};
+
+/**
+ * The filters as a query string, for cache keys and for comparing two sets
+ * @param {typeof EMPTY_FILTERS} filters
+ * @returns {string}
+ */
+export const serializeFilters = (filters) => applyFiltersToParams(new URLSearchParams(), filters).toString();
+
+export const hasActiveFilters = (filters) =>
+  Boolean(filters.search.trim() || filters.author.trim() || filters.from || filters.to || filters.hasImage);
@@ -0,0 +1,35 @@
+// Feed sort orders. "active" is ranked by the server (e.g. by recent activity)
+// and has no client-side equivalent.
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'title', label: 'Title (A–Z)' },
+  { value: 'active', label: 'Most active' },
+];
+
+export const SORT_VALUES = SORT_OPTIONS.map((option) => option.value);
+
+export const DEFAULT_SORT = 'newest';
+
+const byDate = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+const byTitle = (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' });
+
+/**
+ * Sort loaded posts on the client, so a page comes out in the chosen order
+ * even from a backend without sort support. Only the current page is sorted.
+ * @param {Array<Object>} posts
+ * @param {string} sort - One of SORT_VALUES
+ * @returns {Array<Object>} A new, sorted array (or the input for server-only sorts)
+ */
+export const sortPosts = (posts, sort) => {
+  switch (sort) {
+    case 'newest':
+      return [...posts].sort((a, b) => byDate(b, a));
+    case 'oldest':
+      return [...posts].sort(byDate);
+    case 'title':
+      return [...posts].sort(byTitle);
+    default:
+      return posts;
+  }
+};
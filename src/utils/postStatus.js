@@ -0,0 +1,75 @@
+// Publication status of a post. Scheduled posts go live at `publish_at`;
+// drafts are only visible to their author.
+export const POST_STATUSES = [
+  { value: 'published', label: 'Published' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'draft', label: 'Draft' },
+];
+
+export const STATUS_VALUES = POST_STATUSES.map((status) => status.value);
+
+export const DEFAULT_STATUS = 'published';
+
+/**
+ * Current status of a post. Posts from backends without statuses are
+ * published, and a scheduled post whose time has passed counts as published.
+ * @param {Object} post
+ * @returns {'published'|'scheduled'|'draft'}
+ */
+export const getPostStatus = (post) => {
+  const status = STATUS_VALUES.includes(post?.status) ? post.status : DEFAULT_STATUS;
+  if (status === 'scheduled' && post.publish_at && new Date(post.publish_at) <= new Date()) {
+    return 'published';
+  }
+  return status;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Format a date for a datetime-local input, in the browser's time zone
+ * @param {string|Date} value
+ * @returns {string} e.g. "2024-05-01T09:30", or '' for no date
+ */
+export const toDateTimeLocal = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Convert a datetime-local input value (local time) to an ISO string in UTC
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const fromDateTimeLocal = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * The browser's time zone with its current UTC offset, e.g. "Europe/Paris (UTC+02:00)"
+ * @returns {string}
+ */
+export const getTimeZoneLabel = () => {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'Local time';
+  const offset = -new Date().getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const hours = pad(Math.floor(Math.abs(offset) / 60));
+  const minutes = pad(Math.abs(offset) % 60);
+  return `${timeZone} (UTC${sign}${hours}:${minutes})`;
+};
+
+/**
+ * Check the publish settings before saving
+ * @param {{status: string, publishAt: string}} settings - publishAt is a datetime-local value
+ * @returns {string} An error message, or '' if they are valid
+ */
+export const validatePublishSettings = ({ status, publishAt }) => {
+  if (status !== 'scheduled') return '';
+  if (!publishAt) return 'Choose when the post should be published';
+  if (new Date(publishAt) <= new Date()) return 'The publish time must be in the future';
+  return '';
+};
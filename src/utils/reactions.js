@@ -0,0 +1,50 @@
+// Reactions a viewer can leave on a post. Each viewer has at most one reaction
+// per post; "like" is the default one offered on the main button.
+export const REACTIONS = [
+  { type: 'like', emoji: '👍', label: 'Like' },
+  { type: 'love', emoji: '❤️', label: 'Love' },
+  { type: 'laugh', emoji: '😂', label: 'Haha' },
+  { type: 'wow', emoji: '😮', label: 'Wow' },
+  { type: 'sad', emoji: '😢', label: 'Sad' },
+];
+
+export const REACTION_TYPES = REACTIONS.map((reaction) => reaction.type);
+
+/**
+ * Read reaction counts and the viewer's reaction from a post.
+ * Older backends only send `like_count` and `liked_by_me`.
+ * @param {Object} post
+ * @returns {{reactions: Object<string, number>, my_reaction: string|null}}
+ */
+export const getReactionState = (post) => ({
+  reactions: post.reactions || (post.like_count ? { like: Number(post.like_count) } : {}),
+  my_reaction: post.my_reaction !== undefined ? post.my_reaction : post.liked_by_me ? 'like' : null,
+});
+
+/**
+ * Apply the viewer choosing a reaction. Choosing their current reaction removes it.
+ * @param {{reactions: Object<string, number>, my_reaction: string|null}} state
+ * @param {string} type - One of REACTION_TYPES
+ * @returns {{reactions: Object<string, number>, my_reaction: string|null}} The new state
+ */
+export const toggleReaction = (state, type) => {
+  const reactions = { ...state.reactions };
+  if (state.my_reaction) {
+    reactions[state.my_reaction] = Math.max((reactions[state.my_reaction] || 0) - 1, 0);
+  }
+
+  const myReaction = state.my_reaction === type ? null : type;
+  if (myReaction) {
+    reactions[myReaction] = (reactions[myReaction] || 0) + 1;
+  }
+
+  return { reactions, my_reaction: myReaction };
+};
+
+/**
+ * Total number of reactions on a post
+ * @param {Object<string, number>} reactions
+ * @returns {number}
+ */
+export const countReactions = (reactions) =>
+  Object.values(reactions).reduce((total, count) => total + count, 0);
@@ -0,0 +1,51 @@
+// Pages that should never be used as a post-login destination
+const AUTH_PATHS = ['/login', '/signup'];
+
+// "//host" and "/\host" are treated as protocol-relative by browsers
+const isProtocolRelative = (path) => path.startsWith('//') || path.startsWith('/\\');
+
+/**
+ * Validate a post-login redirect target so it can only point inside this app.
+ * Rejects absolute URLs, protocol-relative URLs (//evil.com), backslash tricks
+ * and anything that resolves to a different origin.
+ * @param {string|null|undefined} target - Path (with optional query and hash) to redirect to
+ * @param {string} fallback - Path to use when the target is missing or unsafe
+ * @returns {string} A same-origin path, query and hash
+ */
+export const getSafeRedirectPath = (target, fallback = '/posts') => {
+  if (typeof target !== 'string' || !target.startsWith('/')) {
+    return fallback;
+  }
+
+  if (isProtocolRelative(target)) {
+    return fallback;
+  }
+
+  try {
+    const url = new URL(target, window.location.origin);
+    // Resolving "/./" or "/a/.." segments can bring "//host" back to the front
+    if (
+      url.origin !== window.location.origin ||
+      AUTH_PATHS.includes(url.pathname) ||
+      isProtocolRelative(url.pathname)
+    ) {
+      return fallback;
+    }
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Build a login or signup URL that carries where the user was going
+ * @param {string} authPath - '/login' or '/signup'
+ * @param {string|null} redirectTo - Path, query and hash to return to afterwards
+ * @returns {string}
+ */
+export const withRedirect = (authPath, redirectTo) => {
+  if (!redirectTo) {
+    return authPath;
+  }
+  return `${authPath}?${new URLSearchParams({ redirect: redirectTo })}`;
+};
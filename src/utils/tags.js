@@ -0,0 +1,38 @@
+// Post tags are short lowercase slugs, e.g. "web-dev"
+
+export const MAX_TAGS = 5;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Turn user input into a tag slug: lowercase, no leading "#", spaces become
+ * hyphens and anything else outside a-z, 0-9 and "-" is dropped.
+ * @param {string} raw
+ * @returns {string} The tag, or '' if nothing usable is left
+ */
+export const normalizeTag = (raw = '') =>
+  raw
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+
+/**
+ * Read a post's tags. Backends send either strings or objects with a name.
+ * @param {Object} post
+ * @returns {string[]}
+ */
+export const getPostTags = (post) =>
+  (post?.tags || []).map((tag) => (typeof tag === 'string' ? tag : tag.name)).filter(Boolean);
+
+/**
+ * Whether two tag lists have the same tags in the same order
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+export const sameTags = (a = [], b = []) =>
+  a.length === b.length && a.every((tag, index) => tag === b[index]);